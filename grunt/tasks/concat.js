@@ -67,14 +67,20 @@ module.exports = {
             'vendor/reqwest.min.js',
             'src/cartodb.js',
             'src/api/core_lib.js',
+            'src/core/promise.js',
+            'src/core/lru_cache.js',
+            'src/core/retry.js',
+            'src/core/transport.js',
             'src/core/profiler.js',
             'src/core/util.js',
             'src/api/sql.js',
+            'src/api/sql_batch.js',
             'src/geo/layer_definition.js',
             'src/geo/sublayer.js',
             'src/core/loader.js',
             'src/vis/image.js',
-            'src/api/tiles.js'
+            'src/api/tiles.js',
+            'src/api/named_maps.js'
           ]
         }
       },
@@ -51,6 +51,7 @@ module.exports = {
           "src/geo/sublayer.js",
           "src/geo/layer_definition.js",
           "src/geo/common.js",
+          "src/geo/mvt.js",
           "src/geo/leaflet/leaflet.geometry.js",
           "src/geo/leaflet/leaflet_base.js",
           "src/geo/leaflet/leaflet_plainlayer.js",
@@ -83,6 +84,9 @@ module.exports = {
           "src/vis/overlays.js",
           "src/api/layers.js",
           "src/api/sql.js",
+          "src/api/sql_batch.js",
+          "src/api/tiles.js",
+          "src/api/named_maps.js",
           "src/api/vis.js"
         ],
         options: {
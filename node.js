@@ -0,0 +1,7 @@
+/**
+ * node entry point, see src/node/index.js. The package main is still the
+ * browser bundle:
+ *
+ *  var cartodb = require('cartodb.js/node');
+ */
+module.exports = require('./src/node/index.js');
@@ -116,18 +116,6 @@
   Events.bind   = Events.on;
   Events.unbind = Events.off;
 
-  if(cartodb._Promise === undefined) {
-    function _Promise() { }
-    _Promise.prototype = Events;
-    _Promise.prototype.done = function(fn) {
-        return this.on('done', fn);
-    }
-    _Promise.prototype.error = function(fn) {
-        return this.on('error', fn);
-    }
-    cartodb._Promise = _Promise;
-  }
-
   if(typeof(_) === 'undefined') {
     var _ = {
       extend: function(obj, prop) { 
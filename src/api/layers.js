@@ -2,20 +2,6 @@
  * public api for cartodb
  */
 (function() {
-  function _Promise() {
-
-  }
-  _.extend(_Promise.prototype,  Backbone.Events, {
-    done: function(fn) {
-      return this.bind('done', fn);
-    },
-    error: function(fn) {
-      return this.bind('error', fn);
-    }
-  });
-
-  cdb._Promise = _Promise;
-
   var _requestCache = {};
 
   /**
@@ -73,10 +59,18 @@
     if(_.isFunction(fn)) {
       callback = fn;
     }
-    var promise = new _Promise();
+    var promise = new cdb.core.Promise();
+
+    // rejects the promise with an APIError but keeps passing the plain
+    // message to the error listeners
+    function fail(msg) {
+      promise.reject(new cdb.core.APIError(msg || "layer couldn't be created", {
+        type: 'layer'
+      }), [msg]);
+    }
 
     promise.addTo = function(map, position) {
-      promise.on('done', function() {
+      promise.done(function() {
         MapType.addLayerToMap(layerView, map, position);
       });
       return promise;
@@ -87,19 +81,20 @@
       var layerData;
 
       if(!visData) {
-        promise.trigger('error');
+        fail();
         return;
       }
 
       // extract layer data from visualization data
       if(visData.layers) {
         if(visData.layers.length < 2) {
-          promise.trigger('error', "visualization file does not contain layer info");
+          fail("visualization file does not contain layer info");
+          return;
         }
         var index = options.layerIndex;
         if (index !== undefined) {
           if(visData.layers.length <= index) {
-            promise.trigger('error', 'layerIndex out of bounds');
+            fail('layerIndex out of bounds');
             return;
           }
           layerData = visData.layers[index];
@@ -116,7 +111,7 @@
       }
 
       if(!layerData) {
-        promise.trigger('error');
+        fail();
         return;
       }
 
@@ -142,7 +137,7 @@
       } else if(map instanceof L.Map || (window.L && map instanceof window.L.Map)) {
         MapType = cdb.geo.LeafletMapView;
       } else {
-        promise.trigger('error', "cartodb.js can't guess the map type");
+        fail("cartodb.js can't guess the map type");
         return promise;
       }
 
@@ -170,7 +165,7 @@
         var addMobileLayout = (options.mobile_layout && mobileEnabled) || options.force_mobile;
 
         if(!layerView) {
-          promise.trigger('error', "layer not supported");
+          fail("layer not supported");
           return promise;
         }
 
@@ -211,7 +206,7 @@
         }
 
         callback && callback(layerView);
-        promise.trigger('done', layerView);
+        promise.resolve(layerView);
       }
 
       // load needed modules
@@ -0,0 +1,146 @@
+;(function() {
+
+  var root = this;
+
+  root.cartodb = root.cartodb || {};
+
+  var defaults = {
+    tiler_domain:   "carto.com",
+    tiler_port:     "",
+    tiler_protocol: "https"
+  };
+
+  /**
+   * client for the named map templates of a user, they are managed with
+   * the api_key. The Maps API host is resolved as in the layers
+   * (maps_api_template or tiler_protocol, tiler_domain and tiler_port) and
+   * the requests are sent with the same ajax, transport and retry options
+   *
+   * var namedMaps = new cartodb.NamedMaps({ user_name: 'rambo', api_key: 'key' });
+   * namedMaps.create(layer.toNamedMapTemplate({ name: 'places' })).then(function(name) {
+   *   return namedMaps.get(name);
+   * }).then(function(template) { ... });
+   *
+   * The promises are rejected with the APIError of MapBase.parseError. It
+   * triggers retry(attempt, delay, xhr) before every retry
+   */
+  function NamedMaps(options) {
+    this.options = _.defaults(options || {}, defaults);
+    if (!this.options.user_name) {
+      throw new Error("user_name should be passed");
+    }
+    if (!this.options.api_key) {
+      throw new Error("api_key should be passed");
+    }
+    if (!this.options.maps_api_template) {
+      this._buildMapsApiTemplate(this.options);
+    }
+  }
+
+  _.extend(NamedMaps.prototype, Backbone.Events,
+    _.pick(MapBase.prototype, '_buildMapsApiTemplate', '_tilerHost', '_transport', '_ajax'), {
+
+    _url: function(name) {
+      var url = this._tilerHost() + MapBase.BASE_URL + '/named';
+      if (name) {
+        url += '/' + encodeURIComponent(name);
+      }
+      return url + '?api_key=' + encodeURIComponent(this.options.api_key);
+    },
+
+    _request: function(method, name, body) {
+      var promise = new cartodb.core.Promise();
+      var params = {
+        crossOrigin: true,
+        crossDomain: true,
+        type: method,
+        method: method,
+        dataType: 'json',
+        url: this._url(name),
+        success: function(resp, status, xhr) {
+          // manage reqwest
+          if (status === undefined && resp && resp.response !== undefined) {
+            resp = resp.response ? JSON.parse(resp.response) : null;
+          }
+          promise.resolve(resp);
+        },
+        error: function(xhr) {
+          var res = xhr.responseText || xhr.response;
+          var data;
+          try {
+            data = res && JSON.parse(res);
+          } catch(e) {}
+          var err = MapBase.parseError(data || res || 'Maps API request failed', xhr.status);
+          err.xhr = xhr;
+          promise.reject(err, [err.errors, xhr]);
+        }
+      };
+      if (body) {
+        params.contentType = 'application/json';
+        params.data = JSON.stringify(body);
+      }
+      this._ajax()(params);
+      return promise;
+    },
+
+    /**
+     * returns a promise fulfilled with the names of the templates
+     */
+    list: function() {
+      return this._request('GET').then(function(resp) {
+        return (resp && resp.template_ids) || [];
+      });
+    },
+
+    /**
+     * returns a promise fulfilled with the template
+     */
+    get: function(name) {
+      return this._request('GET', name).then(function(resp) {
+        return resp && resp.template;
+      });
+    },
+
+    /**
+     * creates a template (i.e from layerDefinition.toNamedMapTemplate),
+     * returns a promise fulfilled with its name
+     */
+    create: function(template) {
+      if (!template || !template.name) {
+        throw new TypeError("template should have a name");
+      }
+      return this._request('POST', null, template).then(function(resp) {
+        return resp && resp.template_id;
+      });
+    },
+
+    /**
+     * replaces the template, returns a promise fulfilled with its name
+     */
+    update: function(name, template) {
+      if (!name || !template) {
+        throw new TypeError("name and template should be passed");
+      }
+      template = _.extend({}, template, { name: name });
+      return this._request('PUT', name, template).then(function(resp) {
+        return resp && resp.template_id;
+      });
+    },
+
+    /**
+     * deletes the template, returns a promise fulfilled with its name. The
+     * layers of the named map stop working
+     */
+    'delete': function(name) {
+      if (!name) {
+        throw new TypeError("name should be passed");
+      }
+      return this._request('DELETE', name).then(function() {
+        return name;
+      });
+    }
+  });
+
+  root.cartodb.NamedMaps = NamedMaps;
+
+})();
@@ -5,17 +5,24 @@
 
   root.cartodb = root.cartodb || {};
 
+  //Variable that defines if a query should be using get method or post method
+  var MAX_LENGTH_GET_QUERY = 1024;
+
   function SQL(options) {
-    if(cartodb === this || window === this) {
+    if(cartodb === this || root === this) {
       return new SQL(options);
     }
     if(!options.user) {
       throw new Error("user should be provided");
     }
-    var loc = new String(window.location.protocol);
-    loc = loc.slice(0, loc.length - 1);
-    if(loc == 'file') {
-      loc = 'https';
+    // there is no location outside the browser (node)
+    var loc = 'https';
+    if (root.location) {
+      loc = new String(root.location.protocol);
+      loc = loc.slice(0, loc.length - 1);
+      if(loc == 'file') {
+        loc = 'https';
+      }
     }
 
     this.ajax = options.ajax || (typeof(jQuery) !== 'undefined' ? jQuery.ajax: reqwest);
@@ -41,13 +48,141 @@
       }
       this.options.sql_api_template = template;
     }
+
+    if (this.options.responseCache) {
+      this._cache = new cartodb.core.LRUCache(this.options.responseCache === true ? {} : this.options.responseCache);
+    }
   }
 
+  _.extend(SQL.prototype, Backbone.Events);
+
   SQL.prototype._host = function() {
     var opts = this.options;
     return opts.sql_api_template.replace('{user}', opts.user) + '/api/' +  opts.version + '/sql';
   },
 
+  /**
+   * typed binding of values
+   *
+   * SQL.render("select * from {{ table:ident }} where id in {{ ids }}", {
+   *    table: 'test',
+   *    ids: [1, 2]
+   * })
+   * // select * from "test" where id in (1, 2)
+   *
+   * placeholders:
+   *  - {{ name }} or {{ name:literal }}: value quoted as a literal, see escapeLiteral
+   *  - {{ name:ident }}: value double quoted as an identifier
+   *  - {{{ name }}}: value inserted as it is, never use it for user input
+   */
+  SQL.render = function(template, vars) {
+    vars = vars || {};
+    var placeholder = /\{\{\{\s*([\w$]+)\s*\}\}\}|\{\{\s*([\w$]+)\s*(?::\s*(\w+)\s*)?\}\}/g;
+    return template.replace(placeholder, function(match, rawName, name, type) {
+      var key = rawName || name;
+      if (!(key in vars)) {
+        throw new Error("there is no value for the placeholder " + key);
+      }
+      var value = vars[key];
+      if (rawName) {
+        return value;
+      }
+      type = type || 'literal';
+      if (type === 'literal') {
+        return SQL.escapeLiteral(value);
+      } else if (type === 'ident') {
+        return SQL.escapeIdentifier(value);
+      }
+      throw new Error("placeholder type " + type + " is not supported");
+    });
+  };
+
+  /**
+   * returns the value as a SQL literal:
+   *  - strings are single quoted
+   *  - arrays become a list, (1, 2, 3), to be used with IN
+   *  - dates become timestamps
+   *  - GeoJSON geometries and features become PostGIS geometries (4326)
+   */
+  SQL.escapeLiteral = function(value) {
+    if (value === null || value === undefined) {
+      return 'NULL';
+    }
+    if (typeof(value) === 'boolean') {
+      return value ? 'TRUE' : 'FALSE';
+    }
+    if (typeof(value) === 'number') {
+      if (!isFinite(value)) {
+        throw new TypeError(value + " can't be used as a SQL literal");
+      }
+      return String(value);
+    }
+    if (typeof(value) === 'string') {
+      return "'" + value.replace(/'/g, "''") + "'";
+    }
+    if (_.isArray(value)) {
+      if (value.length === 0) {
+        return '(NULL)';
+      }
+      return '(' + _.map(value, SQL.escapeLiteral).join(', ') + ')';
+    }
+    if (_.isDate(value)) {
+      return SQL.escapeLiteral(value.toISOString()) + '::timestamptz';
+    }
+    if (_isGeoJSON(value)) {
+      var geometry = value.type === 'Feature' ? value.geometry : value;
+      return 'ST_SetSRID(ST_GeomFromGeoJSON(' + SQL.escapeLiteral(JSON.stringify(geometry)) + '), 4326)';
+    }
+    throw new TypeError("the value " + value + " can't be used as a SQL literal");
+  };
+
+  // column, table or schema.table, table.column
+  var PLAIN_IDENTIFIER = /^[A-Za-z_][\w$]*(\.[A-Za-z_][\w$]*)?$/;
+
+  /**
+   * returns the name double quoted, "schema.table" is quoted as "schema"."table".
+   * Other names are quoted as they are, dots included.
+   * Arrays become a comma separated list of identifiers
+   */
+  SQL.escapeIdentifier = function(name) {
+    if (_.isArray(name)) {
+      return _.map(name, SQL.escapeIdentifier).join(', ');
+    }
+    if (typeof(name) !== 'string' || name.length === 0) {
+      throw new TypeError("the value " + name + " is not a valid identifier");
+    }
+    var parts = PLAIN_IDENTIFIER.test(name) ? name.split('.') : [name];
+    return _.map(parts, function(part) {
+      return '"' + part.replace(/"/g, '""') + '"';
+    }).join('.');
+  };
+
+  // names of the table builder: plain identifiers are quoted and
+  // anything else, "count(*)" or "age desc", is an expression used as it is
+  function _builderName(name) {
+    if (_.isArray(name)) {
+      return _.map(name, _builderName).join(', ');
+    }
+    return PLAIN_IDENTIFIER.test(name) ? SQL.escapeIdentifier(name) : name;
+  }
+
+  function _isGeoJSON(value) {
+    if (!value || typeof(value) !== 'object') return false;
+    if (value.type === 'Feature') return _isGeoJSON(value.geometry);
+    if (value.type === 'GeometryCollection') return _.isArray(value.geometries);
+    return typeof(value.type) === 'string' && _.isArray(value.coordinates);
+  }
+
+  // renders the query template with Mustache or with the typed binding
+  // depending on the binding option
+  SQL.prototype._render = function(sql, vars, options) {
+    options = _.defaults(_.isFunction(options) ? {} : (options || {}), this.options);
+    if (options.binding === 'typed') {
+      return SQL.render(sql, vars);
+    }
+    return Mustache.render(sql, vars);
+  };
+
   /**
    * var sql = new SQL('cartodb_username');
    * sql.execute("select * from {{ table }} where id = {{ id }}", {
@@ -57,10 +192,7 @@
    */
   SQL.prototype.execute = function(sql, vars, options, callback) {
 
-    //Variable that defines if a query should be using get method or post method
-    var MAX_LENGTH_GET_QUERY = 1024;
-
-    var promise = new cartodb._Promise();
+    var promise = new cartodb.core.Promise();
     if(!sql) {
       throw new TypeError("sql should not be null");
     }
@@ -71,12 +203,43 @@
       callback = fn;
     }
     options = _.defaults(options || {}, this.options);
+
+    // the request can be cancelled calling promise.abort() or with
+    // an AbortSignal passed as the signal option
+    var xhr = null;
+    promise.abort = function() {
+      if (!promise.isPending()) return;
+      promise.reject(new cartodb.core.APIError('request aborted', { type: 'abort' }), [['request aborted']]);
+      if (xhr && xhr.abort) {
+        xhr.abort();
+      }
+    };
+    var signal = options.signal;
+    delete options.signal;
+    if (signal) {
+      if (signal.aborted) {
+        promise.abort();
+        return promise;
+      }
+      signal.addEventListener('abort', promise.abort);
+      // the signal can outlive the request
+      promise.on('done error', function() {
+        signal.removeEventListener('abort', promise.abort);
+      });
+    }
+
     var params = {
       type: 'get',
       dataType: 'json',
       crossDomain: true
     };
 
+    // 'bypass' and 'refresh' are for the response cache, not for ajax
+    var cacheMode = options.cache;
+    if(cacheMode === 'bypass' || cacheMode === 'refresh') {
+      delete options.cache;
+    }
+
     if(options.cache !== undefined) {
       params.cache = options.cache; 
     }
@@ -99,41 +262,12 @@
              .replace('!pixel_height!', res);
 
     // create query
-    var query = Mustache.render(sql, vars);
-
-    // check method: if we are going to send by get or by post
-    var isGetRequest = query.length < MAX_LENGTH_GET_QUERY;
-
-    // generate url depending on the http method
-    var reqParams = ['format', 'dp', 'api_key'];
-    // request params
-    if (options.extra_params) {
-      reqParams = reqParams.concat(options.extra_params);
-    }
-
-    params.url = this._host() ;
-    if (isGetRequest) {
-      var q = 'q=' + encodeURIComponent(query);
-      for(var i in reqParams) {
-        var r = reqParams[i];
-        var v = options[r];
-        if(v) {
-          q += '&' + r + "=" + v;
-        }
-      }
-
-      params.url += '?' + q;
-    } else {
-      var objPost = {'q': query};
-      for(var i in reqParams) {
-        var r = reqParams[i];
-        var v = options[r];
-        if (v) {
-          objPost[r] = v;
-        }
-      }
+    var query = this._render(sql, vars, options);
 
-      params.data = objPost;
+    var request = this._requestParams(query, options);
+    params.url = request.url;
+    if (request.data) {
+      params.data = request.data;
       //Check if we are using jQuery(uncompressed) or reqwest (core)
       if ((typeof(jQuery) !== 'undefined')) {
         params.type = 'post';
@@ -146,12 +280,39 @@
     var success = options.success;
     var error = options.error;
     if(success) delete options.success;
-    if(error) delete error.success;
+    if(error) delete options.error;
+
+    var self = this;
+    var cacheKey = this._cache && this._cacheKey(query, options);
+    if(cacheKey && cacheMode !== 'bypass' && cacheMode !== 'refresh') {
+      var cached = this._cache.get(cacheKey);
+      if(cached) {
+        setTimeout(function() {
+          if (!promise.isPending()) return;
+          promise.resolve(cached.data, [cached.data, 'success']);
+          if(success) success(cached.data, 'success');
+          if(callback) callback(cached.data);
+        }, 0);
+        return promise;
+      }
+    }
 
     params.error = function(resp) {
+      if (!promise.isPending()) return;
       var res = resp.responseText || resp.response;
-      var errors = res && JSON.parse(res);
-      promise.trigger('error', errors && errors.error, resp)
+      var errors;
+      try {
+        errors = res && JSON.parse(res).error;
+      } catch(e) {}
+      // some proxies send the error as a string
+      errors = errors && [].concat(errors);
+      var err = new cartodb.core.APIError(errors ? errors.join(', ') : 'SQL API request failed', {
+        type: 'sql',
+        errors: errors || [],
+        status: resp.status,
+        xhr: resp
+      });
+      promise.reject(err, [errors, resp]);
       if(error) error(resp);
     }
     params.success = function(resp, status, xhr) {
@@ -159,14 +320,18 @@
       if(status == undefined) {
         status = resp.status;
         xhr = resp;
-        resp = JSON.parse(resp.response);
+        resp = params.dataType === 'json' ? JSON.parse(resp.response) : resp.response;
+      }
+      if(cacheKey && cacheMode !== 'bypass') {
+        self._cache.set(cacheKey, { query: query, data: resp });
       }
       //Timeout explanation. CartoDB.js ticket #336
       //From St.Ov.: "what setTimeout does is add a new event to the browser event queue 
       //and the rendering engine is already in that queue (not entirely true, but close enough) 
       //so it gets executed before the setTimeout event."
       setTimeout(function() {
-        promise.trigger('done', resp, status, xhr);
+        if (!promise.isPending()) return;
+        promise.resolve(resp, [resp, status, xhr]);
         if(success) success(resp, status, xhr);
         if(callback) callback(resp);
       }, 0);
@@ -174,12 +339,88 @@
 
     // call ajax
     delete options.jsonp;
-    this.ajax(_.extend(params, options));
+    var ajax = this.ajax;
+    var retry = cartodb.core.RetryPolicy.create(options.retry);
+    delete options.retry;
+    if (retry) {
+      ajax = retry.wrap(ajax, function(attempt, delay, resp) {
+        promise.trigger('retry', attempt, delay, resp);
+        self.trigger('retry', attempt, delay, resp);
+      });
+    }
+    xhr = ajax(_.extend(params, options));
     return promise;
   }
 
+  /**
+   * returns the url of the request for a query and, when the query is too
+   * long to be sent by GET, the data to send by POST
+   */
+  SQL.prototype._requestParams = function(query, options) {
+    // check method: if we are going to send by get or by post
+    var isGetRequest = query.length < MAX_LENGTH_GET_QUERY;
+
+    // generate url depending on the http method
+    var reqParams = ['format', 'dp', 'api_key'];
+    // request params
+    if (options.extra_params) {
+      reqParams = reqParams.concat(options.extra_params);
+    }
+
+    var url = this._host();
+    if (isGetRequest) {
+      var q = 'q=' + encodeURIComponent(query);
+      for(var i in reqParams) {
+        var r = reqParams[i];
+        var v = options[r];
+        if(v) {
+          q += '&' + r + "=" + encodeURIComponent(v);
+        }
+      }
+      return { url: url + '?' + q };
+    }
+
+    var objPost = {'q': query};
+    for(var i in reqParams) {
+      var r = reqParams[i];
+      var v = options[r];
+      if (v) {
+        objPost[r] = v;
+      }
+    }
+    return { url: url, data: objPost };
+  }
+
+  // only read queries are cached
+  SQL.prototype._cacheKey = function(query, options) {
+    if(!/^\s*(select|with)\b/i.test(query)) {
+      return null;
+    }
+    return JSON.stringify([query, options.format || '', options.api_key || '', options.dp || '']);
+  }
+
+  /**
+   * removes from the response cache the queries that use the table,
+   * or all the queries if no table is given
+   */
+  SQL.prototype.invalidateCache = function(table) {
+    if(!this._cache) {
+      return this;
+    }
+    if(!table) {
+      this._cache.clear();
+      return this;
+    }
+    var name = table.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+    var re = new RegExp('(^|[^\\w$])"?' + name + '"?($|[^\\w$])', 'i');
+    this._cache.removeWhere(function(entry) {
+      return re.test(entry.query);
+    });
+    return this;
+  }
+
   SQL.prototype.getBounds = function(sql, vars, options, callback) {
-      var promise = new cartodb._Promise();
+      var promise = new cartodb.core.Promise();
       var args = arguments,
       fn = args[args.length -1];
       if(_.isFunction(fn)) {
@@ -190,131 +431,868 @@
               '       ST_XMax(ST_Extent(the_geom)) as maxx,' +
               '       ST_YMax(ST_Extent(the_geom)) as maxy' +
               ' from ({{{ sql }}}) as subq';
-      sql = Mustache.render(sql, vars);
+      sql = this._render(sql, vars, options);
       this.execute(s, { sql: sql }, options)
-        .done(function(result) {
-          if (result.rows && result.rows.length > 0 && result.rows[0].maxx != null) {
-            var c = result.rows[0];
-            var minlat = -85.0511;
-            var maxlat =  85.0511;
-            var minlon = -179;
-            var maxlon =  179;
-
-            var clamp = function(x, min, max) {
-              return x < min ? min : x > max ? max : x;
-            }
+        .then(function(result) {
+          if (!result.rows || result.rows.length === 0 || result.rows[0].maxx == null) {
+            promise.reject(new cartodb.core.APIError("the query doesn't contain any geometry", {
+              type: 'empty'
+            }));
+            return;
+          }
+          var c = result.rows[0];
+          var minlat = -85.0511;
+          var maxlat =  85.0511;
+          var minlon = -179;
+          var maxlon =  179;
+
+          var clamp = function(x, min, max) {
+            return x < min ? min : x > max ? max : x;
+          }
 
-            var lon0 = clamp(c.maxx, minlon, maxlon);
-            var lon1 = clamp(c.minx, minlon, maxlon);
-            var lat0 = clamp(c.maxy, minlat, maxlat);
-            var lat1 = clamp(c.miny, minlat, maxlat);
+          var lon0 = clamp(c.maxx, minlon, maxlon);
+          var lon1 = clamp(c.minx, minlon, maxlon);
+          var lat0 = clamp(c.maxy, minlat, maxlat);
+          var lat1 = clamp(c.miny, minlat, maxlat);
 
-            var bounds = [[lat0, lon0], [lat1, lon1]];
-            promise.trigger('done', bounds);
-            callback && callback(bounds);
-          }
-        })
-        .error(function(err) {
-          promise.trigger('error', err);
-        })
+          var bounds = [[lat0, lon0], [lat1, lon1]];
+          promise.resolve(bounds);
+          callback && callback(bounds);
+        }, function(err) {
+          promise.reject(err, [err.errors]);
+        });
 
       return promise;
 
   }
 
   /**
-   * var people_under_10 = sql
-   *    .table('test')
-   *    .columns(['age', 'column2'])
-   *    .filter('age < 10')
-   *    .limit(15)
-   *    .order_by('age')
+   * returns the plan postgres makes for the query. With the analyze option
+   * the query is run to get the actual times and rows, don't use it with
+   * queries that write
    *
-   *  people_under_10(function(results) {
-   *  })
+   * The promise is fulfilled with:
+   *  - plan: the plan tree as EXPLAIN (FORMAT JSON) returns it
+   *  - total_cost, rows: the planner estimations
+   *  - planning_time, execution_time: ms, only with analyze
+   *  - time: seconds the SQL API took to answer
    */
+  SQL.prototype.explain = function(sql, options, callback) {
+    if (_.isFunction(options)) {
+      callback = options;
+      options = {};
+    }
+    options = options || {};
+    var query = 'EXPLAIN (FORMAT JSON' + (options.analyze ? ', ANALYZE' : '') + ') {{{ sql }}}';
+    return this.execute(query, { sql: sql }, { binding: 'typed' }).then(function(data) {
+      var plan = data.rows && data.rows[0] && data.rows[0]['QUERY PLAN'];
+      // json columns can come as text
+      if (typeof(plan) === 'string') {
+        plan = JSON.parse(plan);
+      }
+      plan = (plan && plan[0]) || {};
+      var node = plan.Plan || {};
+      var result = {
+        plan: node,
+        total_cost: node['Total Cost'],
+        rows: node['Plan Rows'],
+        planning_time: plan['Planning Time'] !== undefined ? plan['Planning Time'] : null,
+        execution_time: plan['Execution Time'] !== undefined ? plan['Execution Time'] : null,
+        time: data.time
+      };
+      callback && callback(result);
+      return result;
+    });
+  };
 
-  SQL.prototype.table = function(name) {
-
-    var _name = name;
-    var _filters;
-    var _columns = [];
-    var _limit;
-    var _order;
-    var _orderDir;
-    var _sql = this;
+  // formats the SQL API can export to
+  SQL.EXPORT_FORMATS = ['geojson', 'csv', 'kml', 'svg', 'shp'];
 
-    function _table() {
-      _table.fetch.apply(_table, arguments);
+  function exportOptions(options, defaults) {
+    options = _.defaults(_.extend({}, options), defaults);
+    options.format = (options.format || 'geojson').toLowerCase();
+    if (!_.contains(SQL.EXPORT_FORMATS, options.format)) {
+      throw new Error("format " + options.format + " is not supported");
     }
+    options.extra_params = ['filename'].concat(options.extra_params || []);
+    return options;
+  }
 
-    _table.fetch = function(vars) {
-      vars = vars || {}
-      var args = arguments,
-      fn = args[args.length -1];
-      if(_.isFunction(fn)) {
-        callback = fn;
-        if(args.length === 1) vars = {};
+  /**
+   * exports the result of the query. The promise is fulfilled with:
+   *  - geojson: a FeatureCollection
+   *  - csv: the rows, objects with a string value per column
+   *  - kml, svg: the document as text
+   *
+   * shp files are zip files, use download to save them
+   *
+   * sql.export('select * from table', { format: 'csv' }).then(function(rows) { ... });
+   */
+  SQL.prototype['export'] = function(sql, options) {
+    options = exportOptions(options, this.options);
+    var format = options.format;
+    if (format === 'shp') {
+      throw new Error("shp can't be parsed, use download to save it");
+    }
+    if (format !== 'geojson') {
+      // the response is not JSON, so it can't be requested with jsonp
+      options.dataType = 'text';
+      options.jsonp = false;
+    }
+    return this.execute(sql, null, options).then(function(data) {
+      if (format === 'csv') {
+        return SQL.parseCSV(data);
       }
-      _sql.execute(_table.sql(), vars, callback);
+      return data;
+    });
+  };
+
+  /**
+   * saves the result of the query to a file in the browser, options
+   * are the same than export ones. Long queries are sent with a form
+   * because the file can't be saved from a POST ajax request
+   */
+  SQL.prototype.download = function(sql, options) {
+    options = exportOptions(options, this.options);
+    var request = this._requestParams(this._render(sql, null, options), options);
+    var el;
+    if (request.data) {
+      el = document.createElement('form');
+      el.method = 'post';
+      el.action = request.url;
+      _.each(request.data, function(value, name) {
+        var input = document.createElement('input');
+        input.type = 'hidden';
+        input.name = name;
+        input.value = value;
+        el.appendChild(input);
+      });
+    } else {
+      el = document.createElement('a');
+      el.href = request.url;
+      el.download = (options.filename || 'cartodb-query') + '.' + (options.format === 'shp' ? 'zip' : options.format);
     }
+    el.style.display = 'none';
+    document.body.appendChild(el);
+    if (request.data) {
+      el.submit();
+    } else {
+      el.click();
+    }
+    document.body.removeChild(el);
+    return this;
+  };
 
-    _table.sql = function() {
-      var s = "select"
-      if(_columns.length) {
-        s += ' ' + _columns.join(',') + ' '
+  /**
+   * parses CSV text (RFC 4180) to a list of objects keyed by the
+   * columns in the first line
+   */
+  SQL.parseCSV = function(text) {
+    var lines = [];
+    var line = [];
+    var field = '';
+    var quoted = false;
+    for (var i = 0; i < text.length; ++i) {
+      var c = text.charAt(i);
+      if (quoted) {
+        if (c === '"') {
+          if (text.charAt(i + 1) === '"') {
+            field += '"';
+            ++i;
+          } else {
+            quoted = false;
+          }
+        } else {
+          field += c;
+        }
+      } else if (c === '"') {
+        quoted = true;
+      } else if (c === ',') {
+        line.push(field);
+        field = '';
+      } else if (c === '\n' || c === '\r') {
+        if (c === '\r' && text.charAt(i + 1) === '\n') {
+          ++i;
+        }
+        line.push(field);
+        lines.push(line);
+        line = [];
+        field = '';
       } else {
-        s += ' * '
+        field += c;
       }
+    }
+    if (field || line.length) {
+      line.push(field);
+      lines.push(line);
+    }
 
-      s += "from " + _name;
+    var columns = lines.shift() || [];
+    return _.map(lines, function(values) {
+      return _.object(columns, values);
+    });
+  };
 
-      if(_filters) {
-        s += " where " + _filters;
-      }
-      if(_limit) {
-        s += " limit " + _limit;
-      }
-      if(_order) {
-        s += " order by " + _order;
-      }
-      if(_orderDir) {
-        s += ' ' + _orderDir;
+  /**
+   * returns a cursor that fetches the results of the query page by page
+   * using keyset pagination on the `orderBy` column (cartodb_id by default),
+   * so that column should be unique and not null.
+   *
+   * var cursor = sql.paginate('select * from table', { pageSize: 500 });
+   * cursor.on('page', function(rows, page) { ... });
+   * cursor.each(function(rows) { ... }).then(function() { ... });
+   *
+   * // or, where async iterators are supported
+   * for await (var rows of sql.paginate('select * from table')) { ... }
+   */
+  SQL.prototype.paginate = function(sql, options) {
+    return new SQLCursor(this, sql, options);
+  };
+
+  function SQLCursor(sql, query, options) {
+    this.sql = sql;
+    this.query = query;
+    this.options = _.defaults(options || {}, {
+      pageSize: 1000,
+      orderBy: 'cartodb_id',
+      order: 'asc'
+    });
+    this.page = 0;
+    this._last = undefined;
+    this._done = false;
+    this._cancelled = false;
+    this._queue = cartodb.core.Promise.resolve();
+  }
+
+  _.extend(SQLCursor.prototype, Backbone.Events, {
+
+    /**
+     * fetches the next page. Returns a promise fulfilled with
+     * { value: rows, done: false } or { value: undefined, done: true }
+     * when there are no more pages, like async iterators do. Calls are
+     * queued so pages are always fetched in order
+     */
+    next: function() {
+      var self = this;
+      var next = this._queue.then(function() {
+        return self._fetchPage();
+      });
+      this._queue = next.then(null, function() {});
+      return next;
+    },
+
+    /**
+     * fetches all the pages calling fn with the rows of each one, returning
+     * false from fn stops the iteration. The promise is fulfilled once
+     * the iteration finishes
+     */
+    each: function(fn) {
+      var self = this;
+      return this.next().then(function(result) {
+        if (result.done || fn(result.value, self.page - 1) === false) {
+          return;
+        }
+        return self.each(fn);
+      });
+    },
+
+    cancel: function() {
+      if (!this._cancelled && !this._done) {
+        this._cancelled = true;
+        if (this._request) {
+          this._request.abort();
+        }
+        this.trigger('cancel', this);
       }
+      return this;
+    },
+
+    isDone: function() {
+      return this._done || this._cancelled;
+    },
 
+    _pageSQL: function() {
+      var opts = this.options;
+      var desc = opts.order.toLowerCase() === 'desc';
+      var s = 'SELECT * FROM ({{{ query }}}) _cdb_page';
+      if (this._last !== undefined) {
+        s += ' WHERE {{ column:ident }} ' + (desc ? '<' : '>') + ' {{ last }}';
+      }
+      s += ' ORDER BY {{ column:ident }} ' + (desc ? 'DESC' : 'ASC') + ' LIMIT {{ limit }}';
       return s;
-    }
+    },
 
-    _table.filter = function(f) {
-      _filters = f;
-      return _table;
+    _fetchPage: function() {
+      var self = this;
+      var opts = this.options;
+      if (this.isDone()) {
+        return { value: undefined, done: true };
+      }
+      // fetch one more row to know if there is a next page
+      this._request = this.sql.execute(this._pageSQL(), {
+        query: this.query,
+        column: opts.orderBy,
+        last: this._last,
+        limit: opts.pageSize + 1
+      }, { binding: 'typed' });
+      return this._request.then(function(data) {
+        self._request = null;
+        if (self._cancelled) {
+          return { value: undefined, done: true };
+        }
+        var rows = data.rows || [];
+        if (rows.length > opts.pageSize) {
+          rows = rows.slice(0, opts.pageSize);
+        } else {
+          self._done = true;
+        }
+        if (rows.length === 0) {
+          self.trigger('end');
+          return { value: undefined, done: true };
+        }
+        self._last = rows[rows.length - 1][opts.orderBy];
+        self.trigger('page', rows, self.page++);
+        if (self._done) {
+          self.trigger('end');
+        }
+        return { value: rows, done: false };
+      }, function(err) {
+        self._request = null;
+        if (self._cancelled) {
+          return { value: undefined, done: true };
+        }
+        self.trigger('error', err);
+        throw err;
+      });
     }
+  });
 
-    _table.order_by= function(o) {
-      _order = o;
-      return _table;
-    }
-    _table.asc = function() {
-      _orderDir = 'asc'
-      return _table;
-    }
+  if (typeof(Symbol) !== 'undefined' && Symbol.asyncIterator) {
+    SQLCursor.prototype[Symbol.asyncIterator] = function() {
+      return this;
+    };
+  }
 
-    _table.desc = function() {
-      _orderDir = 'desc'
-      return _table;
-    }
+  SQL.Cursor = SQLCursor;
+
+  // comparison operators of sql.table where conditions
+  var WHERE_OPERATORS = {
+    eq: '=',
+    ne: '<>',
+    gt: '>',
+    gte: '>=',
+    lt: '<',
+    lte: '<=',
+    like: 'like',
+    ilike: 'ilike'
+  };
 
-    _table.columns = function(c) {
-      _columns = c;
-      return _table;
+  var AGGREGATES = ['count', 'sum', 'avg', 'min', 'max'];
+
+  var JOIN_TYPES = ['inner', 'left', 'right', 'full'];
+
+  // accepts [west, south, east, north] or [[south, west], [north, east]],
+  // the format getBounds returns
+  function bboxValues(bbox) {
+    if (_.isArray(bbox[0])) {
+      var sw = bbox[0], ne = bbox[1];
+      return [
+        Math.min(sw[1], ne[1]), Math.min(sw[0], ne[0]),
+        Math.max(sw[1], ne[1]), Math.max(sw[0], ne[0])
+      ];
     }
+    return bbox;
+  }
 
-    _table.limit = function(l) {
-      _limit = l;
-      return _table;
+  // returns the sql of a column condition, values are added with bind
+  function columnCondition(column, value, bind) {
+    var col = SQL.escapeIdentifier(column);
+    if (value === null || value === undefined) {
+      return col + ' is null';
+    }
+    if (_.isArray(value)) {
+      return col + ' in ' + bind(value);
+    }
+    if (!_.isObject(value) || _.isDate(value)) {
+      return col + ' = ' + bind(value);
     }
+    return _.map(value, function(arg, op) {
+      if (WHERE_OPERATORS[op]) {
+        return col + ' ' + WHERE_OPERATORS[op] + ' ' + bind(arg);
+      }
+      switch(op) {
+        case 'in':
+          return col + ' in ' + bind([].concat(arg));
+        case 'nin':
+          return col + ' not in ' + bind([].concat(arg));
+        case 'between':
+          return col + ' between ' + bind(arg[0]) + ' and ' + bind(arg[1]);
+        case 'null':
+          return col + (arg ? ' is null' : ' is not null');
+        case 'bbox':
+          return col + ' && ST_MakeEnvelope(' + _.map(bboxValues(arg), bind).join(', ') + ', 4326)';
+        case 'distance':
+          // { center: [lat, lng], radius: meters }
+          return 'ST_DWithin(' + col + '::geography, ST_SetSRID(ST_MakePoint(' +
+            bind(arg.center[1]) + ', ' + bind(arg.center[0]) + '), 4326)::geography, ' + bind(arg.radius) + ')';
+        case 'intersects':
+          return 'ST_Intersects(' + col + ', ' + bind(arg) + ')';
+      }
+      throw new Error("where operator " + op + " is not supported");
+    }).join(' and ');
+  }
 
-    return _table;
+  // returns a function that adds values to vars and returns their placeholders
+  function binder(prefix, vars) {
+    var n = 0;
+    return function(value) {
+      var name = prefix + (n++);
+      vars[name] = value;
+      return '{{ ' + name + ' }}';
+    };
+  }
+
+  function isLatLng(value) {
+    return !!value && typeof(value.lat) === 'number' && typeof(value.lng) === 'number';
+  }
+
+  // values to write in a column, { lat, lng } objects become points
+  function writeValue(value, bind) {
+    if (isLatLng(value)) {
+      return 'ST_SetSRID(ST_MakePoint(' + bind(value.lng) + ', ' + bind(value.lat) + '), 4326)';
+    }
+    return bind(value);
+  }
+
+  /**
+   * returns the sql of the where conditions:
+   *
+   * {
+   *   age: { gte: 18 },
+   *   status: ['active', 'pending'],
+   *   $or: [{ name: { ilike: 'a%' } }, { name: null }]
+   * }
+   *
+   * conditions of an object are joined with and, the ones in $or
+   * and $and groups with or and and
+   */
+  function whereCondition(conditions, bind) {
+    return _.map(conditions, function(value, key) {
+      if (key === '$or' || key === '$and') {
+        var op = key === '$or' ? ' or ' : ' and ';
+        return '(' + _.map(value, function(c) {
+          return whereCondition(c, bind);
+        }).join(op) + ')';
+      }
+      return columnCondition(key, value, bind);
+    }).join(' and ');
+  }
+
+  /**
+   * update and delete statements of sql.table
+   */
+  function WriteStatement(table, write, type, values) {
+    this._tableName = table;
+    this._write = write;
+    this._type = type;
+    this._values = values;
+    this._where = [];
+    this._filter = null;
+    this._filterVars = {};
+    this._returning = ['cartodb_id'];
+    this._promise = null;
+  }
+
+  WriteStatement.prototype = {
+
+    where: function(conditions) {
+      this._where.push(conditions);
+      return this;
+    },
+
+    filter: function(f, vars) {
+      this._filter = f;
+      this._filterVars = vars || {};
+      return this;
+    },
+
+    returning: function(columns) {
+      this._returning = [].concat(columns || []);
+      return this;
+    },
+
+    _query: function() {
+      var vars = _.clone(this._filterVars);
+      var table = SQL.escapeIdentifier(this._tableName);
+      var s;
+      if (this._type === 'update') {
+        var bind = binder('_value', vars);
+        s = 'update ' + table + ' set ' + _.map(this._values, function(value, column) {
+          return SQL.escapeIdentifier(column) + ' = ' + writeValue(value, bind);
+        }).join(', ');
+      } else {
+        s = 'delete from ' + table;
+      }
+      var bindWhere = binder('_where', vars);
+      var where = _.compact(_.map(this._where, function(w) {
+        return whereCondition(w, bindWhere);
+      }));
+      if (this._filter) {
+        where.unshift(this._filter);
+      }
+      if (where.length) {
+        s += " where " + (where.length > 1 ? '(' + where.join(') and (') + ')' : where[0]);
+      }
+      if (this._returning.length) {
+        s += ' returning ' + SQL.escapeIdentifier(this._returning);
+      }
+      return { template: s, vars: vars };
+    },
+
+    sql: function() {
+      var query = this._query();
+      return SQL.render(query.template, query.vars);
+    },
+
+    /**
+     * runs the statement once, the promise is fulfilled with the
+     * returned rows
+     */
+    execute: function() {
+      if (!this._promise) {
+        if (!this._where.length && !this._filter) {
+          throw new Error("call where to " + this._type + " rows, where({}) for all the rows");
+        }
+        var query = this._query();
+        this._promise = this._write(query.template, query.vars);
+      }
+      return this._promise;
+    },
+
+    then: function(onFulfilled, onRejected) {
+      return this.execute().then(onFulfilled, onRejected);
+    }
+  };
+
+  /**
+   * var people_under_10 = sql
+   *    .table('test')
+   *    .columns(['age', 'column2'])
+   *    .where({ age: { lt: 10 }, city: ['Madrid', 'Paris'] })
+   *    .order_by('age')
+   *    .limit(15)
+   *
+   *  people_under_10(function(results) {
+   *  })
+   *
+   * table and column names are quoted as identifiers and the values
+   * are bound with their type (see SQL.render). sql() returns the query,
+   * which can be used as the sql of a sublayer
+   */
+
+  SQL.prototype.table = function(name) {
+
+    var _name = name;
+    var _filters;
+    var _filterVars = null;
+    var _where = [];
+    var _columns = [];
+    var _aggregates = [];
+    var _joins = [];
+    var _groupBy = [];
+    var _limit;
+    var _offset;
+    var _order;
+    var _orderDir;
+    var _sql = this;
+
+    function _table() {
+      return _table.fetch.apply(_table, arguments);
+    }
+
+    // (vars, callback) arguments of fetch and count
+    function _args(args, options) {
+      var vars = args[0] || {};
+      var callback;
+      var fn = args[args.length -1];
+      if(_.isFunction(fn)) {
+        callback = fn;
+        if(args.length === 1) vars = {};
+      }
+      var query = _table._query(_.extend({ vars: vars }, options));
+      return {
+        template: query.template,
+        vars: _.extend({}, query.vars, vars),
+        callback: callback
+      };
+    }
+
+    _table.fetch = function(vars) {
+      var q = _args(arguments);
+      return _sql.execute(q.template, q.vars, { binding: 'typed' }, q.callback);
+    }
+
+    /**
+     * fetches the number of rows, ignoring limit and offset
+     */
+    _table.count = function(vars) {
+      var q = _args(arguments, { count: true });
+      var template = 'select count(*) as count from (' + q.template + ') _cdb_count';
+      return _sql.execute(template, q.vars, { binding: 'typed' }).then(function(data) {
+        var count = data.rows[0].count;
+        q.callback && q.callback(count);
+        return count;
+      });
+    }
+
+    // returns the query with the values bound
+    _table.sql = function(vars) {
+      var query = _table._query({ vars: vars });
+      return SQL.render(query.template, _.extend(query.vars, vars));
+    }
+
+    // returns the query template and the values of the where conditions,
+    // options.vars are the values of a Mustache filter
+    _table._query = function(options) {
+      options = options || {};
+      var vars = _.clone(_filterVars || {});
+      var bind = binder('_where', vars);
+
+      var columns = _columns.length ? _columns : _groupBy;
+      var select = [];
+      if(columns.length) {
+        select.push(_builderName(columns));
+      }
+      _.each(_aggregates, function(a) {
+        var column = a.column ? _builderName(a.column) : '*';
+        select.push(a.fn + '(' + column + ') as ' + SQL.escapeIdentifier(a.alias));
+      });
+
+      var s = "select " + (select.length ? select.join(', ') : '*');
+      s += " from " + _builderName(_name);
+
+      _.each(_joins, function(j) {
+        s += ' ' + j.type + ' join ' + _builderName(j.table) + ' on ' + _.map(j.on, function(right, left) {
+          return _builderName(left) + ' = ' + _builderName(right);
+        }).join(' and ');
+      });
+
+      var where = _.compact(_.map(_where, function(w) {
+        return whereCondition(w, bind);
+      }));
+      if(_filters) {
+        // a filter without vars is a Mustache template, like the
+        // queries of execute without typed binding
+        where.unshift(_filterVars ? _filters : Mustache.render(_filters, options.vars || {}));
+      }
+      if(where.length) {
+        s += " where " + (where.length > 1 ? '(' + where.join(') and (') + ')' : where[0]);
+      }
+      if(_groupBy.length) {
+        s += " group by " + _builderName(_groupBy);
+      }
+      if(!options.count) {
+        if(_order) {
+          s += " order by " + _builderName(_order);
+          if(_orderDir) {
+            s += ' ' + _orderDir;
+          }
+        }
+        if(_limit) {
+          s += " limit " + _limit;
+        }
+        if(_offset) {
+          s += " offset " + _offset;
+        }
+      }
+
+      return { template: s, vars: vars };
+    }
+
+    _table.filter = function(f, vars) {
+      _filters = f;
+      _filterVars = vars || null;
+      return _table;
+    }
+
+    /**
+     * adds where conditions, see whereCondition. Conditions of
+     * different calls are joined with and
+     */
+    _table.where = function(conditions) {
+      _where.push(conditions);
+      return _table;
+    }
+
+    // spatial conditions, column is the_geom by default
+    _table.bbox = function(bbox, column) {
+      return _table.where(_.object([column || 'the_geom'], [{ bbox: bbox }]));
+    }
+
+    _table.distance = function(center, radius, column) {
+      return _table.where(_.object([column || 'the_geom'], [{ distance: { center: center, radius: radius } }]));
+    }
+
+    _table.intersects = function(geojson, column) {
+      return _table.where(_.object([column || 'the_geom'], [{ intersects: geojson }]));
+    }
+
+    _table.join = function(table, on, type) {
+      type = (type || 'inner').toLowerCase();
+      if(!_.contains(JOIN_TYPES, type)) {
+        throw new Error("join type " + type + " is not supported");
+      }
+      _joins.push({ table: table, on: on, type: type });
+      return _table;
+    }
+
+    _table.group_by = function(g) {
+      _groupBy = [].concat(g);
+      return _table;
+    }
+
+    /**
+     * adds an aggregate column: count, sum, avg, min or max. Without
+     * column count counts all the rows
+     */
+    _table.aggregate = function(alias, fn, column) {
+      fn = fn.toLowerCase();
+      if(!_.contains(AGGREGATES, fn)) {
+        throw new Error("aggregate " + fn + " is not supported");
+      }
+      _aggregates.push({ alias: alias, fn: fn, column: column });
+      return _table;
+    }
+
+    _table.order_by= function(o, dir) {
+      _order = o;
+      if(dir) {
+        _orderDir = dir.toLowerCase() === 'desc' ? 'desc' : 'asc';
+      }
+      return _table;
+    }
+    _table.asc = function() {
+      _orderDir = 'asc'
+      return _table;
+    }
+
+    _table.desc = function() {
+      _orderDir = 'desc'
+      return _table;
+    }
+
+    _table.columns = function(c) {
+      _columns = c;
+      return _table;
+    }
+
+    _table.limit = function(l) {
+      _limit = parseInt(l, 10);
+      return _table;
+    }
+
+    _table.offset = function(o) {
+      _offset = parseInt(o, 10);
+      return _table;
+    }
+
+    // runs a write query, the cached queries of the table are not valid anymore
+    function _write(template, vars) {
+      return _sql.execute(template, vars, { binding: 'typed' }).then(function(data) {
+        _sql.invalidateCache(_name);
+        return data.rows;
+      });
+    }
+
+    // inserts the rows in batches, options.conflict makes it an upsert
+    function _insert(rows, options) {
+      rows = [].concat(rows);
+      options = _.defaults(options || {}, {
+        batchSize: 100,
+        returning: ['cartodb_id']
+      });
+      var columns = _.uniq(_.flatten(_.map(rows, _.keys)));
+      var batches = [];
+      for (var i = 0; i < rows.length; i += options.batchSize) {
+        batches.push(rows.slice(i, i + options.batchSize));
+      }
+
+      var returned = [];
+      var queue = cartodb.core.Promise.resolve();
+      _.each(batches, function(batch) {
+        queue = queue.then(function() {
+          var vars = {};
+          var bind = binder('_value', vars);
+          var s = 'insert into ' + SQL.escapeIdentifier(_name) + ' (' + SQL.escapeIdentifier(columns) + ') values ';
+          s += _.map(batch, function(row) {
+            return '(' + _.map(columns, function(column) {
+              return column in row ? writeValue(row[column], bind) : 'DEFAULT';
+            }).join(', ') + ')';
+          }).join(', ');
+          if (options.conflict) {
+            var conflict = [].concat(options.conflict);
+            var updated = _.difference(columns, conflict);
+            s += ' on conflict (' + SQL.escapeIdentifier(conflict) + ') do ';
+            if (updated.length) {
+              s += 'update set ' + _.map(updated, function(column) {
+                return SQL.escapeIdentifier(column) + ' = excluded.' + SQL.escapeIdentifier(column);
+              }).join(', ');
+            } else {
+              s += 'nothing';
+            }
+          }
+          if (options.returning.length) {
+            s += ' returning ' + SQL.escapeIdentifier(options.returning);
+          }
+          return _write(s, vars).then(function(rows) {
+            returned = returned.concat(rows || []);
+          });
+        });
+      });
+      return queue.then(function() {
+        return returned;
+      });
+    }
+
+    /**
+     * inserts rows, objects with the values of the columns. Geometries can
+     * be GeoJSON or { lat, lng } points. Rows are inserted in batches of
+     * options.batchSize (100) rows. The promise is fulfilled with the
+     * returned rows, { cartodb_id } by default (see options.returning)
+     */
+    _table.insert = function(rows, options) {
+      return _insert(rows, options);
+    }
+
+    /**
+     * inserts the rows or, when they conflict on the conflictColumns (that
+     * should have a unique index), updates them
+     */
+    _table.upsert = function(rows, conflictColumns, options) {
+      if (!conflictColumns || !conflictColumns.length) {
+        throw new Error("upsert needs the conflict columns");
+      }
+      return _insert(rows, _.extend({}, options, { conflict: conflictColumns }));
+    }
+
+    /**
+     * sql.table('test').update({ name: 'test' }).where({ cartodb_id: 1 })
+     *
+     * it's executed with execute() or then(), where or filter must be
+     * called to update all the rows on purpose
+     */
+    _table.update = function(values) {
+      if (_.isEmpty(values)) {
+        throw new Error("there are no values to update");
+      }
+      return new WriteStatement(_name, _write, 'update', values);
+    }
+
+    _table['delete'] = function() {
+      return new WriteStatement(_name, _write, 'delete');
+    }
+
+    return _table;
 
   }
 
@@ -338,26 +1316,162 @@
     return f;
   }
   */
-  function array_agg(s) {
-    return JSON.parse(s.replace(/^{/, '[').replace(/}$/,']'));
+  /**
+   * parses the text of a Postgres array, {1,"a b",NULL,{2,3}}, to an array
+   * of strings, null for NULL elements, and nested arrays. Arrays already
+   * parsed, like the ones in JSON, are returned as they are
+   */
+  SQL.parseArray = function(text) {
+    if (text === null || text === undefined || _.isArray(text)) {
+      return text;
+    }
+    // skip dimensions, [1:2]={...}
+    var pos = text.indexOf('{');
+    if (pos === -1) {
+      throw new Error("malformed array literal: " + text);
+    }
+
+    function parse() {
+      var result = [];
+      ++pos; // {
+      if (text.charAt(pos) === '}') {
+        ++pos;
+        return result;
+      }
+      while (pos < text.length) {
+        var c = text.charAt(pos);
+        var value;
+        if (c === '{') {
+          value = parse();
+        } else if (c === '"') {
+          value = '';
+          ++pos;
+          while (pos < text.length && text.charAt(pos) !== '"') {
+            if (text.charAt(pos) === '\\') {
+              ++pos;
+            }
+            value += text.charAt(pos++);
+          }
+          ++pos; // "
+        } else {
+          var end = pos;
+          while (end < text.length && text.charAt(end) !== ',' && text.charAt(end) !== '}') {
+            ++end;
+          }
+          value = text.slice(pos, end);
+          if (value === 'NULL') {
+            value = null;
+          }
+          pos = end;
+        }
+        result.push(value);
+        c = text.charAt(pos++);
+        if (c === '}') {
+          return result;
+        }
+      }
+      throw new Error("malformed array literal: " + text);
+    }
+
+    return parse();
+  };
+
+  /**
+   * parses the text of a Postgres record, (1,"a, b",), to an array of
+   * strings with its fields, null for NULL fields
+   */
+  SQL.parseRecord = function(text) {
+    if (text.charAt(0) !== '(' || text.charAt(text.length - 1) !== ')') {
+      throw new Error("malformed record literal: " + text);
+    }
+    var fields = [];
+    var pos = 1;
+    while (pos < text.length) {
+      var value = '';
+      var quoted = false;
+      var inQuotes = false;
+      while (pos < text.length) {
+        var c = text.charAt(pos);
+        if (inQuotes) {
+          if (c === '"' && text.charAt(pos + 1) === '"') {
+            value += '"';
+            pos += 2;
+          } else if (c === '"') {
+            inQuotes = false;
+            ++pos;
+          } else if (c === '\\') {
+            value += text.charAt(pos + 1);
+            pos += 2;
+          } else {
+            value += c;
+            ++pos;
+          }
+        } else if (c === ',' || c === ')') {
+          break;
+        } else if (c === '"') {
+          quoted = inQuotes = true;
+          ++pos;
+        } else {
+          value += c;
+          ++pos;
+        }
+      }
+      // empty fields are NULL, "" is an empty string
+      fields.push(value === '' && !quoted ? null : value);
+      if (text.charAt(pos) === ')') {
+        break;
+      }
+      ++pos; // ,
+    }
+    return fields;
+  };
+
+  // numrange text, [1.5,3), to [lower, upper]. null for empty ranges
+  function parseRange(text) {
+    var bounds = text && text.match(/^[\[(]([^,]*),([^,]*)[\])]$/);
+    if (!bounds) {
+      return null;
+    }
+    return _.map(bounds.slice(1), function(b) {
+      return b === '' ? null : +b;
+    });
   }
 
+  function parseNumber(value) {
+    return value === null ? null : +value;
+  }
 
-  SQL.prototype.describeString = function(sql, column, callback) {
+  function simplifyType(g) {
+    return {
+      'st_multipolygon': 'polygon',
+      'st_polygon': 'polygon',
+      'st_multilinestring': 'line',
+      'st_linestring': 'line',
+      'st_multipoint': 'point',
+      'st_point': 'point'
+    }[g.toLowerCase()];
+  }
 
-      var s = [
+  /**
+   * column descriptions by column type. The query of each type returns
+   * one row, which result turns into the stats of the column
+   */
+  var DESCRIBERS = {
+
+    string: {
+      query: [
         'WITH t as (',
         '        SELECT count(*) as total,',
-        '               count(DISTINCT {{column}}) as ndist',
-        '        FROM ({{sql}}) _wrap',
+        '               count(DISTINCT {{column:ident}}) as ndist',
+        '        FROM ({{{sql}}}) _wrap',
         '      ), a as (',
         '        SELECT ',
         '          count(*) cnt, ',
-        '          {{column}}',
+        '          {{column:ident}}',
         '        FROM ',
-        '          ({{sql}}) _wrap ',
+        '          ({{{sql}}}) _wrap ',
         '        GROUP BY ',
-        '          {{column}} ',
+        '          {{column:ident}} ',
         '        ORDER BY ',
         '          cnt DESC',
         '        ), b As (',
@@ -373,51 +1487,35 @@
         '         FROM b, t',
         '         LIMIT 10',
         '         ),',
-        'stats as (', 
-           'select count(distinct({{column}})) as uniq, ',
-           '       count(*) as cnt, ',
-           '       sum(case when COALESCE(NULLIF({{column}},\'\')) is null then 1 else 0 end)::numeric as null_count, ',
-           '       sum(case when COALESCE(NULLIF({{column}},\'\')) is null then 1 else 0 end)::numeric / count(*)::numeric as null_ratio, ',
-           // '       CDB_DistinctMeasure(array_agg({{column}}::text)) as cat_weight ',
-           '       (SELECT max(cumperc) weight FROM c) As skew ',
-           'from ({{sql}}) __wrap',
+        'stats as (',
+        'select count(distinct({{column:ident}})) as uniq, ',
+        '       count(*) as cnt, ',
+        '       sum(case when COALESCE(NULLIF({{column:ident}},\'\')) is null then 1 else 0 end)::numeric as null_count, ',
+        '       sum(case when COALESCE(NULLIF({{column:ident}},\'\')) is null then 1 else 0 end)::numeric / count(*)::numeric as null_ratio, ',
+        // '       CDB_DistinctMeasure(array_agg({{column:ident}}::text)) as cat_weight ',
+        '       (SELECT max(cumperc) weight FROM c) As skew ',
+        'from ({{{sql}}}) __wrap',
         '),',
-        'hist as (', 
-           'select array_agg(row(d, c)) array_agg from (select distinct({{column}}) d, count(*) as c from ({{sql}}) __wrap, stats group by 1 limit 100) _a',
+        'hist as (',
+        'select array_agg(row(d, c))::text array_agg from (select distinct({{column:ident}}) d, count(*) as c from ({{{sql}}}) __wrap, stats group by 1 limit 100) _a',
         ')',
         'select * from stats, hist'
-      ];
-
-      var query = Mustache.render(s.join('\n'), {
-        column: column, 
-        sql: sql
-      });
+      ].join('\n'),
 
-      var normalizeName = function(str) {
-        var normalizedStr = str.replace(/^"(.+(?="$))?"$/, '$1'); // removes surrounding quotes
-        return normalizedStr.replace(/""/g, '"'); // removes duplicated quotes
-      }
-
-      this.execute(query, function(data) {
-        var row = data.rows[0];
-        var weight = 0;
+      result: function(row) {
         var histogram = [];
-
         try {
-          var s = array_agg(row.array_agg);
-
-          var histogram = _(s).map(function(row) {
-              var r = row.match(/\((.*),(\d+)/);
-              var name = normalizeName(r[1]);
-              return [name, +r[2]];
+          histogram = _.map(SQL.parseArray(row.array_agg) || [], function(r) {
+            var fields = SQL.parseRecord(r);
+            return [fields[0], +fields[1]];
           });
-
-          weight = row.skew * (1 - row.null_ratio) * (1 - row.uniq / row.cnt) * ( row.uniq > 1 ? 1 : 0);
         } catch(e) {
 
         }
 
-        callback({
+        var weight = row.skew * (1 - row.null_ratio) * (1 - row.uniq / row.cnt) * ( row.uniq > 1 ? 1 : 0) || 0;
+
+        return {
           type: 'string',
           hist: histogram,
           distinct: row.uniq,
@@ -426,116 +1524,87 @@
           null_ratio: row.null_ratio,
           skew: row.skew,
           weight: weight
-        });
-      });
-  }
-
-  SQL.prototype.describeDate = function(sql, column, callback) {
-    var s = [
-      'with minimum as (',
-        'SELECT min({{column}}) as start_time FROM ({{sql}}) _wrap), ',
-      'maximum as (SELECT max({{column}}) as end_time FROM ({{sql}}) _wrap), ',
-      'null_ratio as (SELECT sum(case when {{column}} is null then 1 else 0 end)::numeric / count(*)::numeric as null_ratio FROM ({{sql}}) _wrap), ',
-      'moments as (SELECT count(DISTINCT {{column}}) as moments FROM ({{sql}}) _wrap)',
-      'SELECT * FROM minimum, maximum, moments, null_ratio'
-    ];
-    var query = Mustache.render(s.join('\n'), {
-      column: column,
-      sql: sql
-    });
-
-    this.execute(query, function(data) {
-      var row = data.rows[0];
-      var e = new Date(row.end_time);
-      var s = new Date(row.start_time);
-
-      var moments = row.moments;
-
-      var steps = Math.min(row.moments, 1024);
-      
-      callback({
-        type: 'date',
-        start_time: s,
-        end_time: e,
-        range: e - s,
-        steps: steps,
-        null_ratio: row.null_ratio
-      });
-    });
-  }
+        };
+      }
+    },
+
+    date: {
+      query: [
+        'with minimum as (',
+        'SELECT min({{column:ident}}) as start_time FROM ({{{sql}}}) _wrap), ',
+        'maximum as (SELECT max({{column:ident}}) as end_time FROM ({{{sql}}}) _wrap), ',
+        'null_ratio as (SELECT sum(case when {{column:ident}} is null then 1 else 0 end)::numeric / count(*)::numeric as null_ratio FROM ({{{sql}}}) _wrap), ',
+        'moments as (SELECT count(DISTINCT {{column:ident}}) as moments FROM ({{{sql}}}) _wrap)',
+        'SELECT * FROM minimum, maximum, moments, null_ratio'
+      ].join('\n'),
+
+      result: function(row) {
+        var e = new Date(row.end_time);
+        var s = new Date(row.start_time);
+
+        var steps = Math.min(row.moments, 1024);
+
+        return {
+          type: 'date',
+          start_time: s,
+          end_time: e,
+          range: e - s,
+          steps: steps,
+          null_ratio: row.null_ratio
+        };
+      }
+    },
 
-  SQL.prototype.describeBoolean = function(sql, column, callback){
-    var s = [
-      'with stats as (',
-            'select count(distinct({{column}})) as uniq,',
-                   'count(*) as cnt',
-              'from ({{sql}}) _wrap ',
+    boolean: {
+      query: [
+        'with stats as (',
+        'select count(distinct({{column:ident}})) as uniq,',
+        'count(*) as cnt',
+        'from ({{{sql}}}) _wrap ',
         '),',
-      'null_ratio as (',
-        'SELECT sum(case when {{column}} is null then 1 else 0 end)::numeric / count(*)::numeric as null_ratio FROM ({{sql}}) _wrap), ',
-      'true_ratio as (',
-        'SELECT sum(case when {{column}} is true then 1 else 0 end)::numeric / count(*)::numeric as true_ratio FROM ({{sql}}) _wrap) ',
-      'SELECT * FROM true_ratio, null_ratio, stats'
-    ];
-    var query = Mustache.render(s.join('\n'), {
-      column: column,
-      sql: sql
-    });
-
-    this.execute(query, function(data) {
-      var row = data.rows[0];
-      
-      callback({
-        type: 'boolean',
-        null_ratio: row.null_ratio,
-        true_ratio: row.true_ratio,
-        distinct: row.uniq,
-        count: row.cnt
-      });
-    });
-  }
+        'null_ratio as (',
+        'SELECT sum(case when {{column:ident}} is null then 1 else 0 end)::numeric / count(*)::numeric as null_ratio FROM ({{{sql}}}) _wrap), ',
+        'true_ratio as (',
+        'SELECT sum(case when {{column:ident}} is true then 1 else 0 end)::numeric / count(*)::numeric as true_ratio FROM ({{{sql}}}) _wrap) ',
+        'SELECT * FROM true_ratio, null_ratio, stats'
+      ].join('\n'),
+
+      result: function(row) {
+        return {
+          type: 'boolean',
+          null_ratio: row.null_ratio,
+          true_ratio: row.true_ratio,
+          distinct: row.uniq,
+          count: row.cnt
+        };
+      }
+    },
 
-  SQL.prototype.describeGeom = function(sql, column, callback) {
-      var s = [
-        'with stats as (', 
-           'select st_asgeojson(st_extent({{column}})) as bbox',
-           'from ({{sql}}) _wrap',
+    geometry: {
+      query: [
+        'with stats as (',
+        'select st_asgeojson(st_extent({{column:ident}})) as bbox',
+        'from ({{{sql}}}) _wrap',
         '),',
-        'geotype as (', 
-          'select st_geometrytype({{column}}) as geometry_type from ({{sql}}) _w where {{column}} is not null limit 1',
+        'geotype as (',
+        'select st_geometrytype({{column:ident}}) as geometry_type from ({{{sql}}}) _w where {{column:ident}} is not null limit 1',
         '),',
-        'clusters as (', 
-          'with clus as (',
-            'SELECT distinct(ST_snaptogrid(the_geom, 10)) as cluster, count(*) as clustercount FROM ({{sql}}) _wrap group by 1 order by 2 desc limit 3),', 
-          'total as (',
-            'SELECT count(*) FROM ({{sql}}) _wrap)',
-          'SELECT sum(clus.clustercount)/sum(total.count) AS clusterrate FROM clus, total',
+        'clusters as (',
+        'with clus as (',
+        'SELECT distinct(ST_snaptogrid(the_geom, 10)) as cluster, count(*) as clustercount FROM ({{{sql}}}) _wrap group by 1 order by 2 desc limit 3),',
+        'total as (',
+        'SELECT count(*) FROM ({{{sql}}}) _wrap)',
+        'SELECT sum(clus.clustercount)/sum(total.count) AS clusterrate FROM clus, total',
         '),',
         'density as (',
-          'SELECT count(*) / st_area(st_extent(the_geom)) as density FROM ({{sql}}) _wrap',
+        'SELECT count(*) / st_area(st_extent(the_geom)) as density FROM ({{{sql}}}) _wrap',
         ')',
         'select * from stats, geotype, clusters, density'
-      ];
+      ].join('\n'),
 
-      var query = Mustache.render(s.join('\n'), {
-        column: column, 
-        sql: sql
-      });
-      function simplifyType(g) {
-        return { 
-        'st_multipolygon': 'polygon',
-        'st_polygon': 'polygon',
-        'st_multilinestring': 'line',
-        'st_linestring': 'line',
-        'st_multipoint': 'point',
-        'st_point': 'point'
-        }[g.toLowerCase()]
-      };
-
-      this.execute(query, function(data) {
-        var row = data.rows[0];
-        var bbox = JSON.parse(row.bbox).coordinates[0]
-        callback({
+      result: function(row) {
+        var bbox = JSON.parse(row.bbox).coordinates[0];
+        return {
           type: 'geom',
           //lon,lat -> lat, lon
           bbox: [[bbox[0][0],bbox[0][1]], [bbox[2][0], bbox[2][1]]],
@@ -543,92 +1612,68 @@
           simplified_geometry_type: simplifyType(row.geometry_type),
           cluster_rate: row.clusterrate,
           density: row.density
-        });
-      });
-  }
-
-  SQL.prototype.columns = function(sql, options, callback) {
-    var args = arguments,
-        fn = args[args.length -1];
-    if(_.isFunction(fn)) {
-      callback = fn;
-    }
-    var s = "select * from (" + sql + ") __wrap limit 0";
-    var exclude = ['cartodb_id','latitude','longitude','created_at','updated_at','lat','lon','the_geom_webmercator'];
-    this.execute(s, function(data) {
-      var t = {}
-      for (var i in data.fields) {
-        if (exclude.indexOf(i) === -1) {
-          t[i] = data.fields[i].type;
-        }
+        };
       }
-      callback(t);
-    });
-  };
+    },
 
-  SQL.prototype.describeFloat = function(sql, column, callback) {
-      var s = [
+    number: {
+      query: [
         'with stats as (',
-            'select min({{column}}) as min,',
-                   'max({{column}}) as max,',
-                   'avg({{column}}) as avg,',
-                   'count(DISTINCT {{column}}) as cnt,',
-                   'count(distinct({{column}})) as uniq,',
-                   'count(*) as cnt,',
-                   'sum(case when {{column}} is null then 1 else 0 end)::numeric / count(*)::numeric as null_ratio,',
-                   'stddev_pop({{column}}) / count({{column}}) as stddev,',
-                   'CASE WHEN abs(avg({{column}})) > 1e-7 THEN stddev({{column}}) / abs(avg({{column}})) ELSE 1e12 END as stddevmean,',
-                    'CDB_DistType(array_agg("{{column}}"::numeric)) as dist_type ',
-              'from ({{sql}}) _wrap ',
+        'select min({{column:ident}}) as min,',
+        'max({{column:ident}}) as max,',
+        'avg({{column:ident}}) as avg,',
+        'count(DISTINCT {{column:ident}}) as cnt,',
+        'count(distinct({{column:ident}})) as uniq,',
+        'count(*) as cnt,',
+        'sum(case when {{column:ident}} is null then 1 else 0 end)::numeric / count(*)::numeric as null_ratio,',
+        'stddev_pop({{column:ident}}) / count({{column:ident}}) as stddev,',
+        'CASE WHEN abs(avg({{column:ident}})) > 1e-7 THEN stddev({{column:ident}}) / abs(avg({{column:ident}})) ELSE 1e12 END as stddevmean,',
+        'CDB_DistType(array_agg({{column:ident}}::numeric)) as dist_type ',
+        'from ({{{sql}}}) _wrap ',
         '),',
-        'params as (select min(a) as min, (max(a) - min(a)) / 7 as diff from ( select {{column}} as a from ({{sql}}) _table_sql where {{column}} is not null ) as foo ),',
+        'params as (select min(a) as min, (max(a) - min(a)) / 7 as diff from ( select {{column:ident}} as a from ({{{sql}}}) _table_sql where {{column:ident}} is not null ) as foo ),',
         'histogram as (',
-           'select array_agg(row(bucket, range, freq)) as hist from (',
-           'select CASE WHEN uniq > 1 then width_bucket({{column}}, min-0.01*abs(min), max+0.01*abs(max), 100) ELSE 1 END as bucket,',
-                  'numrange(min({{column}})::numeric, max({{column}})::numeric) as range,',
-                  'count(*) as freq',
-             'from ({{sql}}) _w, stats',
-             'group by 1',
-             'order by 1',
-          ') __wrap',
-         '),',
-        'hist as (', 
-           'select array_agg(row(d, c)) cat_hist from (select distinct({{column}}) d, count(*) as c from ({{sql}}) __wrap, stats group by 1 limit 100) _a',
+        'select array_agg(row(bucket, range, freq))::text as hist from (',
+        'select CASE WHEN uniq > 1 then width_bucket({{column:ident}}, min-0.01*abs(min), max+0.01*abs(max), 100) ELSE 1 END as bucket,',
+        'numrange(min({{column:ident}})::numeric, max({{column:ident}})::numeric, \'[]\') as range,',
+        'count(*) as freq',
+        'from ({{{sql}}}) _w, stats',
+        'group by 1',
+        'order by 1',
+        ') __wrap',
         '),',
-         'buckets as (',
-            'select CDB_QuantileBins(array_agg(distinct({{column}}::numeric)), 7) as quantiles, ',
-            '       (select array_agg(x::numeric) FROM (SELECT (min + n * diff)::numeric as x FROM generate_series(1,7) n, params) p) as equalint,',
-            // '       CDB_EqualIntervalBins(array_agg({{column}}::numeric), 7) as equalint, ',
-            '       CDB_JenksBins(array_agg(distinct({{column}}::numeric)), 7) as jenks, ',
-            '       CDB_HeadsTailsBins(array_agg(distinct({{column}}::numeric)), 7) as headtails ',
-            'from ({{sql}}) _table_sql where {{column}} is not null',
-         ')',
-         'select * from histogram, stats, buckets, hist'
-      ];
-
-      var query = Mustache.render(s.join('\n'), {
-        column: column, 
-        sql: sql
-      });
+        'hist as (',
+        'select array_agg(row(d, c))::text cat_hist from (select distinct({{column:ident}}) d, count(*) as c from ({{{sql}}}) __wrap, stats group by 1 limit 100) _a',
+        '),',
+        'buckets as (',
+        'select CDB_QuantileBins(array_agg(distinct({{column:ident}}::numeric)), 7) as quantiles, ',
+        '       (select array_agg(x::numeric) FROM (SELECT (min + n * diff)::numeric as x FROM generate_series(1,7) n, params) p) as equalint,',
+        // '       CDB_EqualIntervalBins(array_agg({{column:ident}}::numeric), 7) as equalint, ',
+        '       CDB_JenksBins(array_agg(distinct({{column:ident}}::numeric)), 7) as jenks, ',
+        '       CDB_HeadsTailsBins(array_agg(distinct({{column:ident}}::numeric)), 7) as headtails ',
+        'from ({{{sql}}}) _table_sql where {{column:ident}} is not null',
+        ')',
+        'select * from histogram, stats, buckets, hist'
+      ].join('\n'),
 
-      this.execute(query, function(data) {
-        var row = data.rows[0];
-        var s = array_agg(row.hist);
-        var h = array_agg(row.cat_hist);
-        callback({
+      result: function(row) {
+        return {
           type: 'number',
-          cat_hist: 
-            _(h).map(function(row) {
-            var r = row.match(/\((.*),(\d+)/);
-            return [+r[1], +r[2]];
-          }),
-          hist: _(s).map(function(row) {
-            if(row.indexOf("empty") > -1) return;
-            var els = row.split('"');
-            return { index: els[0].replace(/\D/g,''), 
-                     range: els[1].split(",").map(function(d){return d.replace(/\D/g,'')}), 
-                     freq: els[2].replace(/\D/g,'') };
+          cat_hist: _.map(SQL.parseArray(row.cat_hist) || [], function(r) {
+            var fields = SQL.parseRecord(r);
+            return [parseNumber(fields[0]), +fields[1]];
           }),
+          // the buckets without a range (empty numrange) are skipped
+          hist: _.compact(_.map(SQL.parseArray(row.hist) || [], function(r) {
+            var fields = SQL.parseRecord(r);
+            var range = parseRange(fields[1]);
+            if (!range) return;
+            return {
+              index: parseNumber(fields[0]),
+              range: range,
+              freq: +fields[2]
+            };
+          })),
           stddev: row.stddev,
           null_ratio: row.null_ratio,
           count: row.cnt,
@@ -644,9 +1689,62 @@
           jenks: row.jenks,
           headtails: row.headtails,
           dist_type: row.dist_type
-        });
-      });
-  }
+        };
+      }
+    }
+  };
+
+  SQL.prototype._describe = function(type, sql, column, callback) {
+    var describer = DESCRIBERS[type];
+    var query = SQL.render(describer.query, {
+      column: column,
+      sql: sql
+    });
+    this.execute(query, function(data) {
+      callback(describer.result(data.rows[0]));
+    });
+  };
+
+  SQL.prototype.describeString = function(sql, column, callback) {
+    this._describe('string', sql, column, callback);
+  };
+
+  SQL.prototype.describeDate = function(sql, column, callback) {
+    this._describe('date', sql, column, callback);
+  };
+
+  SQL.prototype.describeBoolean = function(sql, column, callback) {
+    this._describe('boolean', sql, column, callback);
+  };
+
+  SQL.prototype.describeGeom = function(sql, column, callback) {
+    this._describe('geometry', sql, column, callback);
+  };
+
+  SQL.prototype.describeFloat = function(sql, column, callback) {
+    this._describe('number', sql, column, callback);
+  };
+
+  // columns that are not described
+  var COLUMNS_EXCLUDED = ['cartodb_id','latitude','longitude','created_at','updated_at','lat','lon','the_geom_webmercator'];
+
+  SQL.prototype.columns = function(sql, options, callback) {
+    var args = arguments,
+        fn = args[args.length -1];
+    if(_.isFunction(fn)) {
+      callback = fn;
+    }
+    var s = "select * from (" + sql + ") __wrap limit 0";
+    this.execute(s, function(data) {
+      var t = {}
+      for (var i in data.fields) {
+        if (COLUMNS_EXCLUDED.indexOf(i) === -1) {
+          t[i] = data.fields[i].type;
+        }
+      }
+      callback(t);
+    });
+  };
 
   // describe a column
   SQL.prototype.describe = function(sql, column, options) {
@@ -686,6 +1784,458 @@
       });
   }
 
+  // returns a sample of the rows of the query. Tables use TABLESAMPLE and
+  // other queries a hash of the rows, so all the scans of the query in
+  // the describe queries get the same rows
+  function sampleQuery(sql, rate) {
+    if (!rate || rate >= 1) {
+      return sql;
+    }
+    var table = sql.match(/^\s*(?:select\s+\*\s+from\s+)?((?:"[^"]+"|[\w$]+)(?:\.(?:"[^"]+"|[\w$]+))?)\s*;?\s*$/i);
+    if (table) {
+      return 'select * from ' + table[1] + ' tablesample system (' + (Math.round(rate * 1e6) / 1e4) + ') repeatable (0)';
+    }
+    return 'select * from (' + sql + ') _sample where (hashtext(_sample::text) & 2147483647) % 10000 < ' + Math.round(rate * 10000);
+  }
+
+  /**
+   * describes all the columns of the query, like describe does for one
+   * column, with a request to get the column types and another one for
+   * the descriptions
+   *
+   * options:
+   *  - columns: names of the columns to describe or { name: type } to skip
+   *    the request to get the types. All the columns but the ones
+   *    CARTO adds by default
+   *  - sampleRate: fraction of the rows to describe, from 0 to 1
+   *  - columnsPerRequest: split the descriptions in several requests
+   *
+   * The promise is fulfilled with the description of each column,
+   * { name: description }. Columns of unsupported types are not included
+   */
+  SQL.prototype.describeAll = function(sql, options, callback) {
+    var self = this;
+    if (_.isFunction(options)) {
+      callback = options;
+      options = {};
+    }
+    options = options || {};
+    var query = sampleQuery(sql, options.sampleRate);
+
+    var types;
+    if (options.columns && !_.isArray(options.columns)) {
+      types = cartodb.core.Promise.resolve(options.columns);
+    } else {
+      types = this.execute("select * from (" + sql + ") __wrap limit 0").then(function(data) {
+        var t = {};
+        _.each(data.fields, function(field, name) {
+          if (options.columns ? _.contains(options.columns, name) : !_.contains(COLUMNS_EXCLUDED, name)) {
+            t[name] = field.type;
+          }
+        });
+        return t;
+      });
+    }
+
+    return types.then(function(t) {
+      var columns = _.filter(_.keys(t), function(name) {
+        return DESCRIBERS[t[name]];
+      });
+      var size = options.columnsPerRequest || columns.length;
+      var requests = [];
+      for (var i = 0; i < columns.length; i += size) {
+        requests.push(self._describeColumns(query, columns.slice(i, i + size), t));
+      }
+      return cartodb.core.Promise.all(requests);
+    }).then(function(results) {
+      var descriptions = _.extend.apply(_, [{}].concat(results));
+      callback && callback(descriptions);
+      return descriptions;
+    });
+  };
+
+  // describes the columns with one query, each description is a json column
+  SQL.prototype._describeColumns = function(sql, columns, types) {
+    var select = _.map(columns, function(name, i) {
+      var query = SQL.render(DESCRIBERS[types[name]].query, {
+        column: name,
+        sql: sql
+      });
+      return '(SELECT row_to_json(_d) FROM (' + query + ') _d) AS c' + i;
+    });
+    // the query is bound raw so it's not interpolated again
+    return this.execute('{{{ query }}}', { query: 'SELECT ' + select.join(', ') }, { binding: 'typed' }).then(function(data) {
+      var row = data.rows[0];
+      var descriptions = {};
+      _.each(columns, function(name, i) {
+        var result = row['c' + i];
+        // null when the query of the column doesn't return any row
+        descriptions[name] = null;
+        if (result) {
+          try {
+            descriptions[name] = _.extend(DESCRIBERS[types[name]].result(result), { column: name });
+          } catch(e) {}
+        }
+      });
+      return descriptions;
+    });
+  };
+
+  /*
+   * dataviews: aggregations of a column for widgets and legends. They are
+   * fulfilled with plain objects that can be serialized to JSON, and they
+   * take a bbox option, [west, south, east, north] or [[south, west],
+   * [north, east]], to only aggregate the rows inside it. The bbox is
+   * checked against options.geometryColumn, the_geom by default
+   */
+
+  // date_trunc units and the interval between their buckets
+  var TIME_INTERVALS = {
+    minute: '1 minute',
+    hour: '1 hour',
+    day: '1 day',
+    week: '1 week',
+    month: '1 month',
+    quarter: '3 months',
+    year: '1 year'
+  };
+
+  // sql of an aggregate function for a column, count counts the rows
+  function aggregateSQL(fn, column) {
+    if (!_.contains(AGGREGATES, fn)) {
+      throw new Error("aggregate function " + fn + " is not supported");
+    }
+    if (fn === 'count') {
+      return 'count(*)';
+    }
+    if (!column) {
+      throw new Error("a column is needed to calculate the " + fn);
+    }
+    return fn + '(' + SQL.escapeIdentifier(column) + ')';
+  }
+
+  // returns the query limited to the bbox option. The query is inserted
+  // raw in the dataview templates so the values go as literals
+  function dataviewQuery(sql, options) {
+    if (!options.bbox) {
+      return sql;
+    }
+    var condition = columnCondition(options.geometryColumn || 'the_geom', { bbox: options.bbox }, SQL.escapeLiteral);
+    return 'SELECT * FROM (' + sql + ') _bbox WHERE ' + condition;
+  }
+
+  function numberOrNull(value) {
+    return value === null || value === undefined ? null : +value;
+  }
+
+  // runs a dataview query and turns its rows into the result
+  SQL.prototype._dataview = function(template, vars, options, result, callback) {
+    vars.sql = dataviewQuery(vars.sql, options);
+    return this.execute(template, vars, { binding: 'typed' }).then(function(data) {
+      var r = result(data.rows);
+      callback && callback(r);
+      return r;
+    });
+  };
+
+  /**
+   * splits the values of a numeric column in bins of the same width
+   *
+   * options:
+   *  - bins: number of bins (10)
+   *  - start, end: range of the bins, the min and max values by default.
+   *    Values out of the range are not counted
+   *
+   * The promise is fulfilled with:
+   *
+   * {
+   *   type: 'histogram',
+   *   column: 'price',
+   *   start: 0, end: 100, bin_width: 10, bins_count: 10,
+   *   count: 1000, // rows
+   *   nulls: 2,    // rows with a null value
+   *   bins: [{ bin: 0, start: 0, end: 10, min: 1, max: 9.5, avg: 5.2, freq: 100 }, ...]
+   * }
+   *
+   * All the bins are returned, the empty ones with freq 0 and null stats
+   */
+  SQL.prototype.histogram = function(sql, column, options, callback) {
+    if (_.isFunction(options)) {
+      callback = options;
+      options = {};
+    }
+    options = options || {};
+    var bins = options.bins || 10;
+    var query = [
+      'WITH _data AS (',
+      '  SELECT {{ column:ident }}::numeric AS _value FROM ({{{ sql }}}) _h',
+      '), _range AS (',
+      '  SELECT coalesce({{ start }}::numeric, min(_value)) AS start_value,',
+      '         coalesce({{ end }}::numeric, max(_value)) AS end_value,',
+      '         count(*) AS count, count(*) - count(_value) AS nulls',
+      '  FROM _data',
+      '), _bins AS (',
+      '  SELECT CASE WHEN end_value = start_value THEN 0',
+      '              ELSE least(width_bucket(_value, start_value, end_value, {{ bins }}), {{ bins }}) - 1 END AS bin,',
+      '         min(_value) AS min, max(_value) AS max, avg(_value) AS avg, count(*) AS freq',
+      '  FROM _data, _range',
+      '  WHERE _value BETWEEN start_value AND end_value',
+      '  GROUP BY 1',
+      ')',
+      'SELECT start_value::float8 AS start, end_value::float8 AS "end", count, nulls,',
+      '       bin, min::float8 AS min, max::float8 AS max, avg::float8 AS avg, freq',
+      'FROM _range LEFT JOIN _bins ON true',
+      'ORDER BY bin'
+    ].join('\n');
+    var vars = {
+      sql: sql,
+      column: column,
+      bins: bins,
+      start: numberOrNull(options.start),
+      end: numberOrNull(options.end)
+    };
+    return this._dataview(query, vars, options, function(rows) {
+      var first = rows[0] || {};
+      var start = numberOrNull(first.start);
+      var end = numberOrNull(first.end);
+      var width = start === null ? 0 : (end - start) / bins;
+      var stats = {};
+      _.each(rows, function(r) {
+        if (r.bin !== null) stats[r.bin] = r;
+      });
+      var result = [];
+      if (start !== null) {
+        for (var i = 0; i < bins; ++i) {
+          var bin = stats[i] || {};
+          result.push({
+            bin: i,
+            start: start + i * width,
+            end: i === bins - 1 ? end : start + (i + 1) * width,
+            min: numberOrNull(bin.min),
+            max: numberOrNull(bin.max),
+            avg: numberOrNull(bin.avg),
+            freq: +(bin.freq || 0)
+          });
+        }
+      }
+      return {
+        type: 'histogram',
+        column: column,
+        start: start,
+        end: end,
+        bin_width: width,
+        bins_count: bins,
+        count: +(first.count || 0),
+        nulls: +(first.nulls || 0),
+        bins: result
+      };
+    }, callback);
+  };
+
+  /**
+   * aggregates the rows of every category of a column, sorted by the
+   * aggregated value. The categories after the limit are aggregated in
+   * an "Other" category with agg: true
+   *
+   * options:
+   *  - limit: number of categories (6)
+   *  - aggregation: count, sum, avg, min or max (count)
+   *  - aggregationColumn: column to aggregate, not needed for count
+   *
+   * The promise is fulfilled with:
+   *
+   * {
+   *   type: 'aggregation',
+   *   column: 'country', aggregation: 'count',
+   *   count: 1000,          // rows
+   *   nulls: 2,             // rows with a null category
+   *   categories_count: 40, // categories but the null one
+   *   min: 1, max: 300,     // of the aggregated values
+   *   categories: [{ category: 'Spain', value: 300, agg: false }, ..., { category: 'Other', value: 100, agg: true }]
+   * }
+   */
+  SQL.prototype.categories = function(sql, column, options, callback) {
+    if (_.isFunction(options)) {
+      callback = options;
+      options = {};
+    }
+    options = options || {};
+    var aggregation = options.aggregation || 'count';
+    var query = [
+      'WITH _data AS (',
+      '  SELECT * FROM ({{{ sql }}}) _c',
+      '), _categories AS (',
+      '  SELECT {{ column:ident }} AS category, {{{ aggregate }}}::float8 AS value',
+      '  FROM _data WHERE {{ column:ident }} IS NOT NULL GROUP BY 1',
+      '), _ranked AS (',
+      '  SELECT category, value, row_number() OVER (ORDER BY value DESC NULLS LAST, category) AS rank',
+      '  FROM _categories',
+      '), _stats AS (',
+      '  SELECT count(*) AS categories_count, min(value) AS min, max(value) AS max FROM _categories',
+      '), _totals AS (',
+      '  SELECT count(*) AS count, count(*) - count({{ column:ident }}) AS nulls FROM _data',
+      ')',
+      'SELECT _stats.*, _totals.*, _top.category, _top.value, _top.agg',
+      'FROM _stats CROSS JOIN _totals LEFT JOIN (',
+      '  SELECT category::text AS category, value, false AS agg, rank FROM _ranked WHERE rank <= {{ limit }}',
+      '  UNION ALL',
+      '  SELECT \'Other\', (',
+      '    SELECT {{{ aggregate }}}::float8 FROM _data',
+      '    WHERE {{ column:ident }} IS NOT NULL',
+      '    AND {{ column:ident }} NOT IN (SELECT category FROM _ranked WHERE rank <= {{ limit }})',
+      '  ), true, {{ limit }} + 1',
+      '  FROM _stats WHERE categories_count > {{ limit }}',
+      ') _top ON true',
+      'ORDER BY _top.rank'
+    ].join('\n');
+    var vars = {
+      sql: sql,
+      column: column,
+      aggregate: aggregateSQL(aggregation, options.aggregationColumn),
+      limit: options.limit || 6
+    };
+    return this._dataview(query, vars, options, function(rows) {
+      var first = rows[0] || {};
+      return {
+        type: 'aggregation',
+        column: column,
+        aggregation: aggregation,
+        count: +(first.count || 0),
+        nulls: +(first.nulls || 0),
+        categories_count: +(first.categories_count || 0),
+        min: numberOrNull(first.min),
+        max: numberOrNull(first.max),
+        categories: _.map(_.filter(rows, function(r) { return r.agg !== null; }), function(r) {
+          return {
+            category: r.category,
+            value: numberOrNull(r.value),
+            agg: r.agg
+          };
+        })
+      };
+    }, callback);
+  };
+
+  /**
+   * aggregates the rows by intervals of a date column. The intervals
+   * without rows between the first and the last one are included, with
+   * freq 0
+   *
+   * options:
+   *  - interval: minute, hour, day, week, month, quarter or year (day)
+   *  - aggregate: count, sum, avg, min or max (count)
+   *  - aggregateColumn: column to aggregate, not needed for count
+   *  - start, end: dates to limit the rows
+   *
+   * The promise is fulfilled with:
+   *
+   * {
+   *   type: 'time_series',
+   *   column: 'created_at', interval: 'day', aggregate: 'count',
+   *   nulls: 2, // rows with a null date
+   *   bins: [{ start: Date, timestamp: 1483228800000, value: 30, freq: 30 }, ...]
+   * }
+   *
+   * timestamp is the start of the interval in ms, like start.getTime()
+   */
+  SQL.prototype.timeSeries = function(sql, column, options, callback) {
+    if (_.isFunction(options)) {
+      callback = options;
+      options = {};
+    }
+    options = options || {};
+    var interval = options.interval || 'day';
+    var aggregate = options.aggregate || 'count';
+    if (!TIME_INTERVALS[interval]) {
+      throw new Error("interval " + interval + " is not supported");
+    }
+    var query = [
+      'WITH _data AS (',
+      '  SELECT * FROM ({{{ sql }}}) _t',
+      '  WHERE ({{ start }}::timestamptz IS NULL OR {{ column:ident }} >= {{ start }}::timestamptz)',
+      '  AND ({{ end }}::timestamptz IS NULL OR {{ column:ident }} <= {{ end }}::timestamptz)',
+      '), _series AS (',
+      '  SELECT date_trunc({{ interval }}, {{ column:ident }}) AS start, {{{ aggregate }}}::float8 AS value, count(*) AS freq',
+      '  FROM _data WHERE {{ column:ident }} IS NOT NULL GROUP BY 1',
+      '), _range AS (',
+      '  SELECT min(start) AS min, max(start) AS max FROM _series',
+      '), _nulls AS (',
+      '  SELECT count(*) - count({{ column:ident }}) AS nulls FROM _data',
+      ')',
+      'SELECT _nulls.nulls, extract(epoch FROM _g.start) * 1000 AS timestamp, _s.value, coalesce(_s.freq, 0) AS freq',
+      'FROM _nulls CROSS JOIN _range',
+      'LEFT JOIN LATERAL generate_series(_range.min, _range.max, {{ step }}::interval) _g(start) ON true',
+      'LEFT JOIN _series _s ON _s.start = _g.start',
+      'ORDER BY _g.start'
+    ].join('\n');
+    var vars = {
+      sql: sql,
+      column: column,
+      interval: interval,
+      step: TIME_INTERVALS[interval],
+      aggregate: aggregateSQL(aggregate, options.aggregateColumn),
+      start: options.start === undefined ? null : options.start,
+      end: options.end === undefined ? null : options.end
+    };
+    return this._dataview(query, vars, options, function(rows) {
+      var first = rows[0] || {};
+      return {
+        type: 'time_series',
+        column: column,
+        interval: interval,
+        aggregate: aggregate,
+        nulls: +(first.nulls || 0),
+        bins: _.map(_.filter(rows, function(r) { return r.timestamp !== null; }), function(r) {
+          var timestamp = +r.timestamp;
+          return {
+            start: new Date(timestamp),
+            timestamp: timestamp,
+            // empty intervals count and sum 0
+            value: r.value === null && (aggregate === 'count' || aggregate === 'sum') ? 0 : numberOrNull(r.value),
+            freq: +r.freq
+          };
+        })
+      };
+    }, callback);
+  };
+
+  /**
+   * calculates an aggregate of a column: count, sum, avg, min or max.
+   * count counts all the rows, the column is not needed
+   *
+   * The promise is fulfilled with:
+   *
+   * { type: 'formula', column: 'price', operation: 'avg', result: 10.5, count: 1000, nulls: 2 }
+   */
+  SQL.prototype.formula = function(sql, column, operation, options, callback) {
+    if (_.isFunction(options)) {
+      callback = options;
+      options = {};
+    }
+    options = options || {};
+    var query = [
+      'SELECT {{{ aggregate }}}::float8 AS result, count(*) AS count,',
+      '       {{{ nulls }}} AS nulls',
+      'FROM ({{{ sql }}}) _f'
+    ].join('\n');
+    var vars = {
+      sql: sql,
+      aggregate: aggregateSQL(operation, column),
+      nulls: column ? 'count(*) - count(' + SQL.escapeIdentifier(column) + ')' : '0'
+    };
+    return this._dataview(query, vars, options, function(rows) {
+      var row = rows[0] || {};
+      return {
+        type: 'formula',
+        column: column,
+        operation: operation,
+        result: numberOrNull(row.result),
+        count: +(row.count || 0),
+        nulls: +(row.nulls || 0)
+      };
+    }, callback);
+  };
+
   root.cartodb.SQL = SQL;
 
 })();
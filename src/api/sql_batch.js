@@ -0,0 +1,302 @@
+
+;(function() {
+
+  var root = this;
+  var SQL = root.cartodb.SQL;
+
+  // job statuses that will not change anymore
+  var FINAL_STATUSES = ['done', 'failed', 'cancelled', 'unknown'];
+
+  /**
+   * client for the Batch SQL API, used to run queries that would time out
+   * in the SQL API. Writes need an api_key
+   *
+   * var batch = new cartodb.SQL({ user: 'rambo', api_key: 'key' }).batch();
+   * batch.create('UPDATE table SET a = 1').then(function(job) {
+   *   job.on('progress', function(done, total) { ... });
+   *   return job.wait();
+   * }).then(function(job) { ... });
+   *
+   * options:
+   *  - interval: ms to wait before the first status check (1000)
+   *  - maxInterval: max ms between status checks (30000)
+   *  - backoff: factor the interval grows between checks (1.5)
+   */
+  function SQLBatch(sql, options) {
+    this.sql = sql;
+    this.options = _.defaults(options || {}, {
+      interval: 1000,
+      maxInterval: 30000,
+      backoff: 1.5
+    });
+  }
+
+  SQLBatch.prototype = {
+
+    _url: function(id) {
+      var url = this.sql._host() + '/job';
+      if (id) {
+        url += '/' + encodeURIComponent(id);
+      }
+      var apiKey = this.options.api_key || this.sql.options.api_key;
+      if (apiKey) {
+        url += '?api_key=' + encodeURIComponent(apiKey);
+      }
+      return url;
+    },
+
+    _request: function(method, id, body) {
+      var promise = new cartodb.core.Promise();
+      var params = {
+        crossOrigin: true,
+        crossDomain: true,
+        type: method,
+        method: method,
+        dataType: 'json',
+        url: this._url(id),
+        success: function(resp, status, xhr) {
+          // manage reqwest
+          if (status === undefined && resp && resp.response !== undefined) {
+            resp = JSON.parse(resp.response);
+          }
+          promise.resolve(resp);
+        },
+        error: function(xhr) {
+          var res = xhr.responseText || xhr.response;
+          var errors;
+          try {
+            errors = res && JSON.parse(res).error;
+          } catch(e) {}
+          errors = errors ? [].concat(errors) : [];
+          promise.reject(new cartodb.core.APIError(errors.length ? errors.join(', ') : 'Batch SQL API request failed', {
+            type: 'batch',
+            errors: errors,
+            status: xhr.status,
+            xhr: xhr
+          }), [errors, xhr]);
+        }
+      };
+      if (body) {
+        params.contentType = 'application/json';
+        params.data = JSON.stringify(body);
+      }
+      this.sql.ajax(params);
+      return promise;
+    },
+
+    _job: function(attrs) {
+      return new BatchJob(this, attrs);
+    },
+
+    /**
+     * submits a job. query can be a string or, for multi-query jobs, an
+     * array of strings or { query, onsuccess, onerror } objects that run
+     * in order. options.onsuccess and options.onerror are fallback queries
+     * for the whole job.
+     *
+     * Returns a promise fulfilled with the BatchJob
+     */
+    create: function(query, options) {
+      options = options || {};
+      if (!query || (_.isArray(query) && !query.length)) {
+        throw new TypeError("query should not be empty");
+      }
+      var body;
+      if (_.isArray(query) || options.onsuccess || options.onerror) {
+        body = {
+          query: {
+            query: _.map([].concat(query), function(q) {
+              return _.isString(q) ? { query: q } : q;
+            })
+          }
+        };
+        if (options.onsuccess) body.query.onsuccess = options.onsuccess;
+        if (options.onerror) body.query.onerror = options.onerror;
+      } else {
+        body = { query: query };
+      }
+      var self = this;
+      return this._request('POST', null, body).then(function(attrs) {
+        return self._job(attrs);
+      });
+    },
+
+    /**
+     * submits a job and waits until it finishes, see BatchJob.wait
+     */
+    run: function(query, options) {
+      return this.create(query, options).then(function(job) {
+        return job.wait();
+      });
+    },
+
+    get: function(id) {
+      var self = this;
+      return this._request('GET', id).then(function(attrs) {
+        return self._job(attrs);
+      });
+    },
+
+    /**
+     * lists the jobs of the user
+     */
+    list: function() {
+      var self = this;
+      return this._request('GET').then(function(jobs) {
+        return _.map(jobs || [], function(attrs) {
+          return self._job(attrs);
+        });
+      });
+    },
+
+    cancel: function(id) {
+      var self = this;
+      return this._request('DELETE', id).then(function(attrs) {
+        return self._job(attrs);
+      });
+    }
+  };
+
+  /**
+   * a job of the Batch SQL API. It triggers:
+   *  - status(status, job) when the status changes, and then an event named
+   *    like the status: pending, running, done, failed or cancelled
+   *  - progress(done, total, job) when a query of the job finishes
+   */
+  function BatchJob(batch, attrs) {
+    this.batch = batch;
+    this.attributes = {};
+    this._timer = null;
+    this._polling = null;
+    this.set(attrs);
+  }
+
+  _.extend(BatchJob.prototype, Backbone.Events, {
+
+    set: function(attrs) {
+      var previous = this.attributes;
+      var previousProgress = this.progress();
+      this.attributes = attrs || {};
+      this.id = this.attributes.job_id;
+      this.status = this.attributes.status;
+      var progress = this.progress();
+      if (previousProgress.done !== progress.done) {
+        this.trigger('progress', progress.done, progress.total, this);
+      }
+      if (previous.status !== this.status) {
+        this.trigger('status', this.status, this);
+        this.trigger(this.status, this);
+      }
+      return this;
+    },
+
+    /**
+     * returns { done, total } with the number of queries of the job
+     * that finished
+     */
+    progress: function() {
+      var query = this.attributes.query;
+      if (query && _.isArray(query.query)) {
+        return {
+          done: _.filter(query.query, function(q) { return q.status === 'done'; }).length,
+          total: query.query.length
+        };
+      }
+      return {
+        done: this.status === 'done' ? 1 : 0,
+        total: 1
+      };
+    },
+
+    isFinished: function() {
+      return _.contains(FINAL_STATUSES, this.status);
+    },
+
+    /**
+     * fetches the job status
+     */
+    refresh: function() {
+      var self = this;
+      return this.batch._request('GET', this.id).then(function(attrs) {
+        return self.set(attrs);
+      });
+    },
+
+    cancel: function() {
+      var self = this;
+      this.stop();
+      return this.batch._request('DELETE', this.id).then(function(attrs) {
+        return self.set(attrs);
+      });
+    },
+
+    /**
+     * polls the job status until it finishes, the time between requests
+     * grows with the batch backoff options. The promise is fulfilled with
+     * the job when it's done and rejected with an APIError when it fails,
+     * it's cancelled or stop() is called
+     */
+    wait: function() {
+      if (this._polling) {
+        return this._polling;
+      }
+      var self = this;
+      var opts = this.batch.options;
+      var interval = opts.interval;
+      var promise = this._polling = new cartodb.core.Promise();
+
+      function check() {
+        if (self.status === 'done') {
+          promise.resolve(self);
+        } else if (self.isFinished()) {
+          var reason = self.attributes.failed_reason || 'job ' + self.status;
+          promise.reject(new cartodb.core.APIError(reason, {
+            type: 'batch',
+            errors: [reason],
+            job: self
+          }), [[reason]]);
+        } else {
+          self._timer = setTimeout(poll, interval);
+          interval = Math.min(interval * opts.backoff, opts.maxInterval);
+          return;
+        }
+        self._timer = null;
+        self._polling = null;
+      }
+
+      function poll() {
+        self.refresh().then(function() {
+          if (promise.isPending()) check();
+        }, function(err) {
+          self._polling = null;
+          promise.reject(err, [err.errors]);
+        });
+      }
+
+      check();
+      return promise;
+    },
+
+    /**
+     * stops polling the job status, the job keeps running
+     */
+    stop: function() {
+      clearTimeout(this._timer);
+      this._timer = null;
+      if (this._polling) {
+        var polling = this._polling;
+        this._polling = null;
+        polling.reject(new cartodb.core.APIError('polling stopped', { type: 'abort', job: this }), [['polling stopped']]);
+      }
+      return this;
+    }
+  });
+
+  SQL.prototype.batch = function(options) {
+    return new SQLBatch(this, options);
+  };
+
+  SQL.Batch = SQLBatch;
+  SQL.BatchJob = BatchJob;
+
+})();
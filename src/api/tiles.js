@@ -26,7 +26,9 @@
 
     options.layer_definition = LayerDefinition.layerDefFromSubLayers(options.sublayers);
 
-    options.ajax = reqwest.compat;
+    if (!options.transport) {
+      options.ajax = options.ajax || reqwest.compat;
+    }
 
     LayerDefinition.call(this, options.layer_definition, options);
   };
@@ -54,6 +54,10 @@
         'core/config.js',
         'core/log.js',
         'core/profiler.js',
+        'core/promise.js',
+        'core/lru_cache.js',
+        'core/retry.js',
+        'core/transport.js',
         'core/template.js',
         'core/model.js',
         'core/view.js',
@@ -85,6 +89,7 @@
         'geo/sublayer.js',
         'geo/layer_definition.js',
         'geo/common.js',
+        'geo/mvt.js',
 
         'geo/leaflet/leaflet_base.js',
         'geo/leaflet/leaflet_plainlayer.js',
@@ -119,6 +124,8 @@
         // PUBLIC API
         'api/layers.js',
         'api/sql.js',
+        'api/sql_batch.js',
+        'api/named_maps.js',
         'api/vis.js'
     ];
 
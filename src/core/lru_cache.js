@@ -0,0 +1,102 @@
+/**
+ * least recently used cache with optional expiration time
+ *
+ * ```
+ *  var cache = new cdb.core.LRUCache({ maxSize: 100, ttl: 60 * 1000 });
+ *  cache.set('key', value);
+ *  cache.get('key'); // value, undefined once it expires or is evicted
+ * ```
+ *
+ * `ttl` is in milliseconds, 0 means entries never expire
+ */
+(function() {
+
+  function now() {
+    return new Date().getTime();
+  }
+
+  function LRUCache(options) {
+    options = options || {};
+    this.maxSize = options.maxSize || 100;
+    this.ttl = options.ttl || 0;
+    this.clear();
+  }
+
+  LRUCache.prototype = {
+
+    get: function(key) {
+      var entry = this._entries['$' + key];
+      if (!entry) {
+        return undefined;
+      }
+      if (entry.expires && entry.expires <= now()) {
+        this.remove(key);
+        return undefined;
+      }
+      this._touch(key);
+      return entry.value;
+    },
+
+    has: function(key) {
+      return this.get(key) !== undefined;
+    },
+
+    set: function(key, value, ttl) {
+      ttl = ttl === undefined ? this.ttl : ttl;
+      if (this._entries['$' + key]) {
+        this._touch(key);
+      } else {
+        this._keys.push(key);
+      }
+      this._entries['$' + key] = {
+        value: value,
+        expires: ttl ? now() + ttl : 0
+      };
+      while (this._keys.length > this.maxSize) {
+        this.remove(this._keys[0]);
+      }
+      return this;
+    },
+
+    remove: function(key) {
+      if (this._entries['$' + key]) {
+        delete this._entries['$' + key];
+        this._keys.splice(_.indexOf(this._keys, key), 1);
+      }
+      return this;
+    },
+
+    /**
+     * removes the entries for which fn(value, key) returns true
+     */
+    removeWhere: function(fn) {
+      var keys = this._keys.slice();
+      for (var i = 0; i < keys.length; ++i) {
+        var entry = this._entries['$' + keys[i]];
+        if (fn(entry.value, keys[i])) {
+          this.remove(keys[i]);
+        }
+      }
+      return this;
+    },
+
+    clear: function() {
+      this._entries = {};
+      // from the least to the most recently used
+      this._keys = [];
+      return this;
+    },
+
+    size: function() {
+      return this._keys.length;
+    },
+
+    _touch: function(key) {
+      this._keys.splice(_.indexOf(this._keys, key), 1);
+      this._keys.push(key);
+    }
+  };
+
+  cdb.core.LRUCache = LRUCache;
+
+})();
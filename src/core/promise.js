@@ -0,0 +1,216 @@
+/**
+ * Promises/A+ compliant promise used by the public api (cartodb.SQL,
+ * cartodb.createLayer...)
+ *
+ * Besides `then` it keeps the `done` and `error` events of the old promise
+ * object so code written against it keeps working:
+ *
+ * ```
+ *  var promise = new cdb.core.Promise();
+ *  promise.done(fn).error(fnError);
+ *  promise.then(fn, fnError);
+ *  promise.resolve(value);
+ * ```
+ *
+ * `resolve` and `reject` accept an optional array with the arguments the
+ * `done` and `error` listeners are called with, by default the value itself.
+ */
+(function() {
+
+  var PENDING = 0;
+  var FULFILLED = 1;
+  var REJECTED = 2;
+
+  function async(fn) {
+    setTimeout(fn, 0);
+  }
+
+  function isObjectOrFunction(x) {
+    return x !== null && (typeof(x) === 'object' || typeof(x) === 'function');
+  }
+
+  // Promise Resolution Procedure, see https://promisesaplus.com/#point-45
+  function resolvePromise(promise, x, eventArgs) {
+    if (promise === x) {
+      settle(promise, REJECTED, new TypeError("a promise can't be resolved with itself"));
+      return;
+    }
+    if (isObjectOrFunction(x)) {
+      var called = false;
+      try {
+        var then = x.then;
+        if (typeof(then) === 'function') {
+          then.call(x, function(y) {
+            if (called) return;
+            called = true;
+            resolvePromise(promise, y);
+          }, function(r) {
+            if (called) return;
+            called = true;
+            settle(promise, REJECTED, r);
+          });
+          return;
+        }
+      } catch(e) {
+        if (!called) {
+          called = true;
+          settle(promise, REJECTED, e);
+        }
+        return;
+      }
+    }
+    settle(promise, FULFILLED, x, eventArgs);
+  }
+
+  function settle(promise, state, value, eventArgs) {
+    if (promise._state !== PENDING) return;
+    promise._state = state;
+    promise._value = value;
+    promise._eventArgs = eventArgs || [value];
+    promise.trigger.apply(promise, [state === FULFILLED ? 'done' : 'error'].concat(promise._eventArgs));
+    promise._flush();
+  }
+
+  function Promise() {
+    this._state = PENDING;
+    this._value = undefined;
+    this._eventArgs = null;
+    this._handlers = [];
+    this._resolved = false;
+  }
+
+  _.extend(Promise.prototype, Backbone.Events, {
+
+    then: function(onFulfilled, onRejected) {
+      var next = new Promise();
+      this._handlers.push([onFulfilled, onRejected, next]);
+      if (this._state !== PENDING) {
+        this._flush();
+      }
+      return next;
+    },
+
+    'catch': function(onRejected) {
+      return this.then(null, onRejected);
+    },
+
+    done: function(fn) {
+      return this._listen(FULFILLED, 'done', fn);
+    },
+
+    error: function(fn) {
+      return this._listen(REJECTED, 'error', fn);
+    },
+
+    resolve: function(value, eventArgs) {
+      if (this._resolved) return this;
+      this._resolved = true;
+      resolvePromise(this, value, eventArgs);
+      return this;
+    },
+
+    reject: function(reason, eventArgs) {
+      if (this._resolved) return this;
+      this._resolved = true;
+      settle(this, REJECTED, reason, eventArgs);
+      return this;
+    },
+
+    isPending: function() {
+      return this._state === PENDING;
+    },
+
+    // listeners added once the promise is settled are called right away
+    _listen: function(state, event, fn) {
+      var self = this;
+      if (this._state === PENDING) {
+        this.on(event, fn);
+      } else if (this._state === state) {
+        async(function() {
+          fn.apply(self, self._eventArgs);
+        });
+      }
+      return this;
+    },
+
+    _flush: function() {
+      var self = this;
+      var handlers = this._handlers;
+      this._handlers = [];
+      async(function() {
+        for (var i = 0; i < handlers.length; ++i) {
+          var fulfilled = self._state === FULFILLED;
+          var callback = handlers[i][fulfilled ? 0 : 1];
+          var next = handlers[i][2];
+          if (typeof(callback) !== 'function') {
+            settle(next, self._state, self._value);
+            continue;
+          }
+          try {
+            resolvePromise(next, callback(self._value));
+          } catch(e) {
+            settle(next, REJECTED, e);
+          }
+        }
+      });
+    }
+  });
+
+  Promise.resolve = function(value) {
+    return new Promise().resolve(value);
+  };
+
+  Promise.reject = function(reason) {
+    return new Promise().reject(reason);
+  };
+
+  /**
+   * returns a promise fulfilled with the values of all the promises
+   * (or plain values) in the list, rejected as soon as one of them fails
+   */
+  Promise.all = function(list) {
+    var promise = new Promise();
+    var values = [];
+    var remaining = list.length;
+    if (remaining === 0) {
+      return promise.resolve(values);
+    }
+    for (var i = 0; i < list.length; ++i) {
+      (function(i) {
+        Promise.resolve(list[i]).then(function(value) {
+          values[i] = value;
+          if (--remaining === 0) {
+            promise.resolve(values);
+          }
+        }, function(reason) {
+          promise.reject(reason);
+        });
+      })(i);
+    }
+    return promise;
+  };
+
+  /**
+   * error the promises of the public api are rejected with. Other than
+   * `message` it can carry:
+   *  - type: what failed (sql, layer, vis...)
+   *  - errors: list of errors sent by the server
+   *  - status and xhr: the failed request
+   */
+  function APIError(message, attrs) {
+    this.name = 'APIError';
+    this.message = message;
+    this.errors = [];
+    _.extend(this, attrs);
+  }
+
+  APIError.prototype = new Error();
+  APIError.prototype.constructor = APIError;
+
+  cdb.core.Promise = Promise;
+  cdb.core.APIError = APIError;
+
+  // backwards compatibility
+  cdb._Promise = Promise;
+
+})();
@@ -0,0 +1,135 @@
+/**
+ * retry policy for the requests to the SQL and Maps APIs. Failed requests
+ * with a retryable status are sent again after a delay that grows
+ * exponentially, with some jitter so clients don't retry at the same time,
+ * or after the time the server asks for in the Retry-After header
+ *
+ * ```
+ *  var retry = new cdb.core.RetryPolicy({ attempts: 5 });
+ *  retry.on('retry', function(attempt, delay, xhr) { ... });
+ *  var ajax = retry.wrap($.ajax);
+ * ```
+ *
+ * options:
+ *  - attempts: max number of retries (3)
+ *  - delay: ms to wait before the first retry (500)
+ *  - maxDelay: max ms to wait before a retry (30000)
+ *  - factor: the delay is multiplied by it after every retry (2)
+ *  - jitter: fraction of the delay that is random (0.5)
+ *  - statuses: http statuses that are retried (429 and 5xx gateway errors)
+ */
+(function() {
+
+  function RetryPolicy(options) {
+    this.options = _.defaults(options || {}, RetryPolicy.defaults);
+  }
+
+  RetryPolicy.defaults = {
+    attempts: 3,
+    delay: 500,
+    maxDelay: 30000,
+    factor: 2,
+    jitter: 0.5,
+    statuses: [429, 500, 502, 503, 504]
+  };
+
+  /**
+   * returns the policy for a retry option: null when it's disabled, the
+   * same policy when it's already one so it can be shared, or a new one
+   * with the options (true for the defaults)
+   */
+  RetryPolicy.create = function(options) {
+    if (!options) {
+      return null;
+    }
+    if (options instanceof RetryPolicy) {
+      return options;
+    }
+    return new RetryPolicy(options === true ? {} : _.clone(options));
+  };
+
+  _.extend(RetryPolicy.prototype, Backbone.Events, {
+
+    shouldRetry: function(attempt, xhr) {
+      return attempt < this.options.attempts && !!xhr && _.contains(this.options.statuses, xhr.status);
+    },
+
+    /**
+     * ms to wait before retrying the request for the attempt (0 based)
+     */
+    delay: function(attempt, xhr) {
+      var opts = this.options;
+      var retryAfter = this._retryAfter(xhr);
+      if (retryAfter !== null) {
+        return Math.min(retryAfter, opts.maxDelay);
+      }
+      var delay = Math.min(opts.delay * Math.pow(opts.factor, attempt), opts.maxDelay);
+      return Math.round(delay * (1 - opts.jitter * Math.random()));
+    },
+
+    // Retry-After is given in seconds or as a http date
+    _retryAfter: function(xhr) {
+      var header = xhr && xhr.getResponseHeader && xhr.getResponseHeader('Retry-After');
+      if (!header) {
+        return null;
+      }
+      if (/^\s*\d+\s*$/.test(header)) {
+        return parseInt(header, 10) * 1000;
+      }
+      var date = Date.parse(header);
+      if (isNaN(date)) {
+        return null;
+      }
+      return Math.max(0, date - new Date().getTime());
+    },
+
+    /**
+     * returns an ajax function that retries the failed requests. The error
+     * callback is only called when the request can't be retried anymore.
+     * onRetry(attempt, delay, xhr) is called, and a retry event triggered,
+     * before every retry.
+     *
+     * It returns an object with an abort method that aborts the request
+     * in progress and the pending retries
+     */
+    wrap: function(ajax, onRetry) {
+      var self = this;
+      return function(params) {
+        var attempt = 0;
+        var request = null;
+        var timer = null;
+        var aborted = false;
+
+        function send() {
+          request = ajax(_.extend({}, params, {
+            error: function(xhr) {
+              if (!aborted && self.shouldRetry(attempt, xhr)) {
+                var delay = self.delay(attempt, xhr);
+                ++attempt;
+                self.trigger('retry', attempt, delay, xhr);
+                onRetry && onRetry(attempt, delay, xhr);
+                timer = setTimeout(send, delay);
+                return;
+              }
+              params.error && params.error.apply(this, arguments);
+            }
+          }));
+        }
+
+        send();
+        return {
+          abort: function() {
+            aborted = true;
+            clearTimeout(timer);
+            if (request && request.abort) {
+              request.abort();
+            }
+          }
+        };
+      };
+    }
+  });
+
+  cdb.core.RetryPolicy = RetryPolicy;
+
+})();
@@ -0,0 +1,230 @@
+/**
+ * fetch based transport for the Maps API requests. It takes the jQuery.ajax
+ * params the requests are built with (url, type, data, dataType,
+ * contentType, headers, timeout, success and error) so ajax() can be used
+ * wherever an ajax function is expected
+ *
+ * ```
+ *  var transport = new cdb.core.Transport({
+ *    headers: { 'Authorization': 'Bearer token' },
+ *    timeout: 10000,
+ *    beforeRequest: function(request) {
+ *      request.url += '&client=dashboard';
+ *    }
+ *  });
+ *  transport.ajax()({ url: url, dataType: 'json', success: function(data) { ... } });
+ * ```
+ *
+ * The xhr passed to success and error has status, statusText, responseText
+ * and getResponseHeader(name). jsonp requests are sent as json requests,
+ * fetch doesn't need them to get around CORS. With the arraybuffer
+ * dataType success gets the body as an ArrayBuffer (i.e vector tiles)
+ *
+ * options:
+ *  - headers: headers sent with every request
+ *  - credentials: fetch credentials mode: omit, same-origin or include (same-origin)
+ *  - timeout: ms before a request is aborted, 0 for no timeout (0)
+ *  - beforeRequest(request): called with { url, method, headers, body,
+ *    credentials, timeout } before it's sent. It can change the request or
+ *    return another one
+ *  - afterResponse(response, request): called with { status, statusText,
+ *    headers, text, data } before the callbacks. It can change the response
+ *    or return another one
+ *  - fetch: fetch function (window.fetch)
+ */
+(function() {
+
+  var root = this;
+
+  function Transport(options) {
+    this.options = _.defaults(options || {}, Transport.defaults);
+  }
+
+  Transport.defaults = {
+    headers: {},
+    credentials: 'same-origin',
+    timeout: 0
+  };
+
+  Transport.isSupported = function(options) {
+    return !!((options && options.fetch) || typeof(root.fetch) === 'function');
+  };
+
+  /**
+   * returns the transport for a transport option: the same transport when
+   * it's already one, a new one with the options (true or undefined for
+   * the defaults), or null when it's false or fetch is not supported
+   */
+  Transport.create = function(options) {
+    if (options instanceof Transport) {
+      return options;
+    }
+    if (options === false || !Transport.isSupported(options)) {
+      return null;
+    }
+    return new Transport(_.isObject(options) ? _.clone(options) : {});
+  };
+
+  // form encodes the request data like jQuery does
+  function encodeParams(data) {
+    var params = [];
+    _.each(data, function(value, key) {
+      _.each([].concat(value), function(v) {
+        params.push(encodeURIComponent(key) + '=' + encodeURIComponent(v === null || v === undefined ? '' : v));
+      });
+    });
+    return params.join('&');
+  }
+
+  Transport.prototype = {
+
+    /**
+     * sends the request, returns an object with an abort method
+     */
+    request: function(params) {
+      var opts = this.options;
+      var fetch = opts.fetch || root.fetch;
+      var method = (params.method || params.type || 'GET').toUpperCase();
+      var dataType = params.dataType === 'jsonp' ? 'json' : params.dataType;
+      var headers = _.extend({}, opts.headers, params.headers);
+      var url = params.url;
+      var body = null;
+
+      if (params.data !== undefined && params.data !== null) {
+        var data = typeof(params.data) === 'string' ? params.data : encodeParams(params.data);
+        if (method === 'GET' || method === 'HEAD') {
+          url += (url.indexOf('?') === -1 ? '?' : '&') + data;
+        } else {
+          body = data;
+          headers['Content-Type'] = params.contentType || 'application/x-www-form-urlencoded; charset=UTF-8';
+        }
+      }
+
+      var request = {
+        url: url,
+        method: method,
+        headers: headers,
+        body: body,
+        credentials: opts.credentials,
+        timeout: params.timeout || opts.timeout
+      };
+      if (opts.beforeRequest) {
+        request = opts.beforeRequest(request) || request;
+      }
+
+      var xhr = {
+        status: 0,
+        statusText: '',
+        responseText: '',
+        getResponseHeader: function(name) {
+          var value = this._headers && this._headers.get(name);
+          return value === undefined ? null : value;
+        }
+      };
+      var controller = typeof(AbortController) !== 'undefined' ? new AbortController() : null;
+      var finished = false;
+      var timer = null;
+
+      function finish(response) {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timer);
+        if (dataType === 'json' && response.text) {
+          try {
+            response.data = JSON.parse(response.text);
+          } catch(e) {
+            response.parseError = e;
+          }
+        }
+        if (opts.afterResponse) {
+          response = opts.afterResponse(response, request) || response;
+        }
+        xhr.status = response.status;
+        xhr.statusText = response.statusText;
+        xhr.responseText = xhr.response = response.text || '';
+        xhr._headers = response.headers;
+        if (dataType === 'arraybuffer') {
+          xhr.response = response.data;
+        }
+
+        if (response.status < 200 || response.status >= 300) {
+          params.error && params.error(xhr, response.status ? 'error' : response.statusText, response.statusText);
+        } else if (response.parseError) {
+          params.error && params.error(xhr, 'parsererror', response.parseError.message);
+        } else {
+          var body = dataType === 'json' || dataType === 'arraybuffer' ? response.data : response.text;
+          params.success && params.success(body, 'success', xhr);
+        }
+      }
+
+      function fail(statusText) {
+        finish({ status: 0, statusText: statusText, headers: null, text: '' });
+      }
+
+      if (request.timeout) {
+        timer = setTimeout(function() {
+          controller && controller.abort();
+          fail('timeout');
+        }, request.timeout);
+      }
+
+      var init = {
+        method: request.method,
+        headers: request.headers,
+        credentials: request.credentials
+      };
+      if (request.body !== null) {
+        init.body = request.body;
+      }
+      if (controller) {
+        init.signal = controller.signal;
+      }
+
+      fetch(request.url, init).then(function(res) {
+        // the errors are read as text, they come as json
+        if (dataType === 'arraybuffer' && res.status >= 200 && res.status < 300) {
+          return res.arrayBuffer().then(function(buffer) {
+            finish({
+              status: res.status,
+              statusText: res.statusText,
+              headers: res.headers,
+              text: '',
+              data: buffer
+            });
+          });
+        }
+        return res.text().then(function(text) {
+          finish({
+            status: res.status,
+            statusText: res.statusText,
+            headers: res.headers,
+            text: text
+          });
+        });
+      }).then(null, function(e) {
+        fail(e && e.message || 'error');
+      });
+
+      return {
+        abort: function() {
+          if (finished) return;
+          controller && controller.abort();
+          fail('abort');
+        }
+      };
+    },
+
+    /**
+     * returns an ajax function that sends the requests with the transport
+     */
+    ajax: function() {
+      var self = this;
+      return function(params) {
+        return self.request(params);
+      };
+    }
+  };
+
+  cdb.core.Transport = Transport;
+
+})();
@@ -1,6 +1,10 @@
 cdb.core.util = {};
 
 cdb.core.util.isCORSSupported = function() {
+  // outside the browser (node) there are no cross origin restrictions
+  if (typeof(XMLHttpRequest) === 'undefined') {
+    return true;
+  }
   return 'withCredentials' in new XMLHttpRequest();
 };
 
@@ -13,7 +17,7 @@ cdb.core.util.array2hex = function(byteArr) {
 };
 
 cdb.core.util.btoa = function(data) {
-  if (typeof window['btoa'] == 'function') {
+  if (typeof btoa == 'function') {
     return cdb.core.util.encodeBase64Native(data);
   };
 
@@ -91,7 +95,8 @@ cdb.core.util._makeCRCTable = function() {
 
 cdb.core.util._inferBrowser = function(ua){
   var browser = {};
-  ua = ua || window.navigator.userAgent;
+  // there is no browser in node
+  ua = ua || (typeof(window) !== 'undefined' ? window.navigator.userAgent : '');
   function detectIE() {
     var msie = ua.indexOf('MSIE ');
     var trident = ua.indexOf('Trident/');
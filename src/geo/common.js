@@ -155,8 +155,13 @@ CartoDBLayerCommon.prototype = {
     }
   },
 
+  /**
+   * called when the layergroup or a tile can't be loaded, triggers error
+   * with the error messages and the parsed error (see MapBase.parseError)
+   */
   error: function(e) {
-    //console.log(e.error);
+    var err = MapBase.parseError(e);
+    this.trigger && this.trigger('error', err.errors, err);
   },
 
   tilesOk: function() {
@@ -197,7 +202,7 @@ CartoDBLayerCommon.prototype = {
           .replace(/\{x\}/g,xyz.x)
           .replace(/\{y\}/g,xyz.y);
 
-      this.options.ajax({
+      self._ajax()({
         method: "get",
         url: grid_url,
         crossDomain: true,
@@ -207,7 +212,11 @@ CartoDBLayerCommon.prototype = {
         },
         error: function(xhr, msg, data) {
           clearTimeout(timeout);
-          self.error(xhr.responseText && JSON.parse(xhr.responseText));
+          var err;
+          try {
+            err = JSON.parse(xhr.responseText);
+          } catch(e) {}
+          self.error(MapBase.parseError(err, xhr.status));
         }
       });
     });
@@ -183,7 +183,9 @@ CartoDBLayerGroupBase.prototype.onAdd = function () {
   //this.update();
 };
 
+// called when the layer is removed from the map
 CartoDBLayerGroupBase.prototype.clear = function () {
+  this._stopLive();
   this._clearInteraction();
   self.finishLoading && self.finishLoading();
 };
@@ -424,10 +426,12 @@ function LayerGroupView(base) {
     },
 
     error: function(e) {
+      var err = MapBase.parseError(e);
+      this.trigger('error', err.errors, err);
       if(this.model) {
         //trigger the error form _checkTiles in the model
-        this.model.trigger('error', e?e.errors:'unknown error');
-        this.model.trigger('tileError', e?e.errors:'unknown error');
+        this.model.trigger('error', err.errors, err);
+        this.model.trigger('tileError', err.errors, err);
       }
     },
 
@@ -65,9 +65,9 @@ function MapBase(options) {
   var self = this;
 
   this.options = _.defaults(options, {
-    ajax: window.$ ? window.$.ajax : reqwest.compat,
     pngParams: ['map_key', 'api_key', 'cache_policy', 'updated_at'],
     gridParams: ['map_key', 'api_key', 'cache_policy', 'updated_at'],
+    mvtParams: ['map_key', 'api_key', 'cache_policy', 'updated_at'],
     cors: cdb.core.util.isCORSSupported(),
     MAX_GET_SIZE: 2033,
     force_cors: false,
@@ -84,8 +84,19 @@ function MapBase(options) {
   this._createMapCallsStack = [];
   this._createMapCallbacks = [];
   this._waiting = false;
+  this._request = null;
+  this._requestId = 0;
+  this._layergroupCache = null;
+  this._instantiatedKey = null;
+  this._attributesCache = null;
+  this._attributesQueues = { click: [], prefetch: [] };
   this.lastTimeUpdated = null;
   this._refreshTimer = -1;
+  this._liveTimer = -1;
+  this._livePollId = 0;
+  this._liveUpdatedAt = {};
+  this._onVisible = null;
+  this._sql = null;
 
   // build template url
   if (!this.options.maps_api_template) {
@@ -96,6 +107,155 @@ function MapBase(options) {
 MapBase.BASE_URL = '/api/v1/map';
 MapBase.EMPTY_GIF = "data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7";
 
+// default layergroup ttl
+MapBase.LAYERGROUP_TTL = 60*120*1000;
+
+// default ms between the checks of the live layers
+MapBase.LIVE_INTERVAL = 10*1000;
+
+MapBase.NO_SQL_API = 'the SQL API host is unknown, set the sql_api_template or sql_api_domain options';
+
+// last time (ms) the tables of a query were modified, the queries of the
+// sublayers are checked with a row ({ query, updated_at }) for each one
+MapBase.LIVE_SQL = "SELECT {{{ query }}} AS query, (SELECT extract(epoch FROM max(updated_at)) * 1000 FROM CDB_TableMetadata WHERE tabname = ANY (CDB_QueryTablesText({{ sql }})::regclass[])) AS updated_at";
+
+/**
+ * JSON.stringify with the object keys sorted
+ */
+MapBase.canonicalJSON = function(obj) {
+  if (_.isArray(obj)) {
+    return '[' + _.map(obj, function(v) {
+      return v === undefined ? 'null' : MapBase.canonicalJSON(v);
+    }).join(',') + ']';
+  }
+  if (obj && typeof(obj) === 'object' && !_.isFunction(obj.toJSON)) {
+    var keys = _.keys(obj).sort();
+    var pairs = [];
+    for (var i = 0; i < keys.length; ++i) {
+      if (obj[keys[i]] !== undefined && !_.isFunction(obj[keys[i]])) {
+        pairs.push(JSON.stringify(keys[i]) + ':' + MapBase.canonicalJSON(obj[keys[i]]));
+      }
+    }
+    return '{' + pairs.join(',') + '}';
+  }
+  return JSON.stringify(obj);
+};
+
+MapBase.ERROR_TYPES = {
+  auth: /permission denied|unauthorized|forbidden|api[_ ]key|auth_token|signature/i,
+  limit: /limit|too many|timeout|timed out|quota/i,
+  sql: /postgis|syntax error|^\s*ERROR:|relation .* does not exist|column .* does not exist|function .* does not exist|SQL/,
+  cartocss: /cartocss|style\d+|unrecognized rule|invalid code|invalid value|turbo-carto|mapnik/i
+};
+
+/**
+ * parses the error the Maps API answers when a layergroup can't be
+ * instantiated ({ errors: [...], errors_with_context: [...] }) and returns
+ * an APIError with:
+ *
+ *  - type: type of the first error
+ *  - errors: the error messages
+ *  - details: one object for each error with
+ *    - type: sql, cartocss, auth, limit or unknown
+ *    - message
+ *    - index: layer index in the layergroup, null when it's not known
+ *    - line, column: position in the CartoCSS, null when it's not known
+ *    - context: the error_with_context the error was built from
+ *  - status: http status of the response, when there is one
+ *
+ * e can also be a message or an APIError, which is returned as it is
+ */
+MapBase.parseError = function(e, status) {
+  if (e instanceof cdb.core.APIError) {
+    return e;
+  }
+  if (!e || typeof(e) === 'string') {
+    e = { errors: [e || 'unknown error'] };
+  }
+  var contexts = e.errors_with_context || [];
+  var errors = [].concat(e.errors || []);
+  var details = [];
+  var i;
+
+  for (i = 0; i < contexts.length; ++i) {
+    details.push(MapBase._parseErrorDetail(contexts[i].message, contexts[i], status));
+  }
+  // errors without context
+  for (i = contexts.length; i < errors.length; ++i) {
+    details.push(MapBase._parseErrorDetail(errors[i], null, status));
+  }
+  if (!errors.length) {
+    errors = _.pluck(details, 'message');
+  }
+  if (!details.length) {
+    details.push(MapBase._parseErrorDetail('unknown error', null, status));
+    errors = ['unknown error'];
+  }
+
+  return new cdb.core.APIError(errors.join('\n'), {
+    type: details[0].type,
+    errors: errors,
+    details: details,
+    status: status
+  });
+};
+
+MapBase._parseErrorDetail = function(message, context, status) {
+  message = String(message || 'unknown error');
+  context = context || null;
+  var layer = context && context.layer;
+  var detail = {
+    type: 'unknown',
+    message: message,
+    index: null,
+    line: null,
+    column: null,
+    context: context
+  };
+  var match;
+
+  // type
+  if (context && context.type === 'limit') {
+    detail.type = 'limit';
+  } else if (context && context.type === 'auth') {
+    detail.type = 'auth';
+  } else if (context && context.subtype === 'query') {
+    detail.type = 'sql';
+  } else if (context && context.subtype === 'turbo-carto') {
+    detail.type = 'cartocss';
+  } else if (status === 401 || status === 403 || MapBase.ERROR_TYPES.auth.test(message)) {
+    detail.type = 'auth';
+  } else if (status === 429 || MapBase.ERROR_TYPES.limit.test(message)) {
+    detail.type = 'limit';
+  } else if (MapBase.ERROR_TYPES.sql.test(message)) {
+    detail.type = 'sql';
+  } else if (MapBase.ERROR_TYPES.cartocss.test(message)) {
+    detail.type = 'cartocss';
+  }
+
+  // layer index, from the context or from the style name (style0: ...)
+  if (layer && layer.index !== undefined) {
+    detail.index = +layer.index;
+  } else if (match = message.match(/\b(?:style|layer)(\d+)\b/)) {
+    detail.index = +match[1];
+  }
+
+  // CartoCSS position, "style0: 2:13 Unrecognized rule" or "line 2, column 13"
+  if (detail.type === 'cartocss') {
+    var start = context && context.source && context.source.start;
+    if (start) {
+      detail.line = start.line;
+      detail.column = start.column;
+    } else if ((match = message.match(/^\s*(?:[\w\-]+:\s*)?(\d+):(\d+)\b/)) ||
+               (match = message.match(/line (\d+),? column (\d+)/i))) {
+      detail.line = +match[1];
+      detail.column = +match[2];
+    }
+  }
+
+  return detail;
+};
+
 MapBase.prototype = {
 
   _buildMapsApiTemplate: function(opts) {
@@ -126,8 +286,10 @@ MapBase.prototype = {
     var self = this;
     callback = callback || function() {};
 
-    // if the previous request didn't finish, queue it
+    // if the previous request didn't finish, queue it and abort the
+    // previous one because its response would be discarded anyway
     if(this._waiting) {
+      this._abortRequest();
       return this;
     }
 
@@ -140,6 +302,14 @@ MapBase.prototype = {
       return;
     }
 
+    var cached = this._getCachedLayergroup();
+    if (cached) {
+      callback(cached);
+      // same as a response, the refresh timer starts again
+      this._requestFinished();
+      return this;
+    }
+
     // mark as the request is being done
     this._waiting = true;
     var req = null;
@@ -183,6 +353,11 @@ MapBase.prototype = {
       if (this.options.force_cors) {
         return true;
       }
+      // the GET endpoint of the named maps only answers JSONP, which the
+      // transport can't send. Without transport they keep the cacheable GET
+      if (this.JSONPendPoint && this._transport()) {
+        return true;
+      }
       // check payload size
       var payload = JSON.stringify(this.toJSON());
       if (payload.length > this.options.MAX_GET_SIZE) {
@@ -194,11 +369,12 @@ MapBase.prototype = {
 
   _requestPOST: function(params, callback) {
     var self = this;
-    var ajax = this.options.ajax;
+    var ajax = this._ajax();
 
     var loadingTime = cartodb.core.Profiler.metric('cartodb-js.layergroup.post.time').start();
+    var requestId = ++this._requestId;
 
-    ajax({
+    var request = ajax({
       crossOrigin: true,
       type: 'POST',
       method: 'POST',
@@ -207,6 +383,8 @@ MapBase.prototype = {
       url: this._tilerHost() + this.endPoint + (params.length ? "?" + params.join('&'): ''),
       data: JSON.stringify(this.toJSON()),
       success: function(data) {
+        // superseded by a newer request
+        if (requestId !== self._requestId) return;
         loadingTime.end();
         // discard previous calls when there is another call waiting
         if(0 === self._createMapCallsStack.length) {
@@ -221,6 +399,7 @@ MapBase.prototype = {
         self._requestFinished();
       },
       error: function(xhr) {
+        if (requestId !== self._requestId) return;
         loadingTime.end();
         cartodb.core.Profiler.metric('cartodb-js.layergroup.post.error').inc();
         var err = { errors: ['unknow error'] };
@@ -236,11 +415,12 @@ MapBase.prototype = {
         self._requestFinished();
       }
     });
+    this._setRequest(request, requestId);
   },
 
   _requestGET: function(params, callback) {
     var self = this;
-    var ajax = this.options.ajax;
+    var ajax = this._ajax();
     var json = JSON.stringify(this.toJSON());
     var compressor = this._getCompressor(json);
     var endPoint = self.JSONPendPoint || self.endPoint;
@@ -248,12 +428,14 @@ MapBase.prototype = {
       params.push(encoded);
       var loadingTime = cartodb.core.Profiler.metric('cartodb-js.layergroup.get.time').start();
       var host = self.options.dynamic_cdn ? self._host(): self._tilerHost();
-      ajax({
+      var requestId = ++self._requestId;
+      var request = ajax({
         dataType: 'jsonp',
         url: host + endPoint + '?' + params.join('&'),
         jsonpCallback: self.options.instanciateCallback,
         cache: !!self.options.instanciateCallback,
         success: function(data) {
+          if (requestId !== self._requestId) return;
           loadingTime.end();
           if(0 === self._createMapCallsStack.length) {
             // check for errors
@@ -266,7 +448,8 @@ MapBase.prototype = {
           }
           self._requestFinished();
         },
-        error: function(data) {
+        error: function(xhr) {
+          if (requestId !== self._requestId) return;
           loadingTime.end();
           cartodb.core.Profiler.metric('cartodb-js.layergroup.get.error').inc();
           var err = { errors: ['unknow error'] };
@@ -279,9 +462,66 @@ MapBase.prototype = {
           self._requestFinished();
         }
       });
+      self._setRequest(request, requestId);
     });
   },
 
+  // the transport of the requests when the transport option is set, see
+  // cdb.core.Transport. null when there is an ajax option or fetch is not
+  // supported
+  _transport: function() {
+    if (this.options.ajax || !this.options.transport) {
+      return null;
+    }
+    return cartodb.core.Transport.create(this.options.transport);
+  },
+
+  // returns the ajax function: the ajax option, the transport or, without
+  // it, the fallback (jQuery or reqwest by default).
+  // It retries the failed requests when the retry option is set (see
+  // cdb.core.RetryPolicy)
+  _ajax: function(fallback) {
+    var self = this;
+    var ajax = this.options.ajax;
+    if (!ajax) {
+      var transport = this._transport();
+      if (transport) {
+        ajax = transport.ajax();
+      } else if (fallback) {
+        ajax = fallback;
+      } else {
+        ajax = typeof(window) !== 'undefined' && window.$ ? window.$.ajax : reqwest.compat;
+      }
+    }
+    var retry = cartodb.core.RetryPolicy.create(this.options.retry);
+    if (!retry) {
+      return ajax;
+    }
+    return retry.wrap(ajax, function(attempt, delay, xhr) {
+      // layer views have events
+      self.trigger && self.trigger('retry', attempt, delay, xhr);
+    });
+  },
+
+  // keeps the request in progress so it can be aborted. ajax functions
+  // can finish the request before returning
+  _setRequest: function(request, requestId) {
+    if (this._waiting && requestId === this._requestId) {
+      this._request = request;
+    }
+  },
+
+  _abortRequest: function() {
+    var request = this._request;
+    if (request && request.abort) {
+      // whatever the aborted request returns is discarded
+      this._requestId++;
+      this._request = null;
+      request.abort();
+      this._requestFinished();
+    }
+  },
+
   // returns the compressor depending on the size
   // of the layer
   _getCompressor: function(payload) {
@@ -309,13 +549,19 @@ MapBase.prototype = {
   _requestFinished: function() {
     var self = this;
     this._waiting = false;
+    this._request = null;
     this.lastTimeUpdated = new Date().getTime();
 
     // refresh layer when invalidation time has passed
     clearTimeout(this._refreshTimer);
     this._refreshTimer = setTimeout(function() {
       self.invalidate();
-    }, this.options.refreshTime || (60*120*1000)); // default layergroup ttl
+    }, this.options.refreshTime || MapBase.LAYERGROUP_TTL);
+    // in node the refresh should not keep the process running
+    if (this._refreshTimer && this._refreshTimer.unref) {
+      this._refreshTimer.unref();
+    }
+    this._scheduleLive();
 
     // check request queue
     if(this._createMapCallsStack.length) {
@@ -324,27 +570,318 @@ MapBase.prototype = {
     }
   },
 
+  /**
+   * live mode: the last time the tables of the sublayers were modified is
+   * checked through the SQL API every interval (live: true or { interval })
+   * and the layer is invalidated only when it changes, triggering
+   * dataChanged(numbers) on the layer and dataChanged(sublayer) on the
+   * sublayers that changed. The checks are paused while the page is
+   * hidden. Only the sublayers with SQL can be checked, so it does
+   * nothing with named maps. false stops it
+   */
+  setLive: function(live) {
+    if (live && !this._sqlClient()) {
+      throw new Error('live mode needs the SQL API: ' + MapBase.NO_SQL_API);
+    }
+    this.options.live = live;
+    this._stopLive();
+    if (this.mapProperties) {
+      this._scheduleLive();
+    }
+    return this;
+  },
+
+  _scheduleLive: function() {
+    var self = this;
+    var live = this.options.live;
+    if (!live || this._liveTimer !== -1 || this._onVisible || !this._liveQueries().length) {
+      return;
+    }
+    if (!this._sqlClient()) {
+      // the live option is turned off instead of checking another host
+      this.options.live = false;
+      var message = 'live mode needs the SQL API: ' + MapBase.NO_SQL_API;
+      this.trigger && this.trigger('error', [message], new cartodb.core.APIError(message, { type: 'live', errors: [message] }));
+      return;
+    }
+    var interval = (_.isObject(live) && live.interval) || MapBase.LIVE_INTERVAL;
+    this._liveTimer = setTimeout(function() {
+      self._liveTimer = -1;
+      self._pollLive();
+    }, interval);
+    // like the refresh timer, it should not keep node running
+    if (this._liveTimer && this._liveTimer.unref) {
+      this._liveTimer.unref();
+    }
+  },
+
+  _stopLive: function() {
+    clearTimeout(this._liveTimer);
+    this._liveTimer = -1;
+    // discards the check in progress
+    ++this._livePollId;
+    if (this._onVisible) {
+      document.removeEventListener('visibilitychange', this._onVisible, false);
+      this._onVisible = null;
+    }
+  },
+
+  _pollLive: function() {
+    var self = this;
+    if (typeof document !== 'undefined' && document.hidden && document.addEventListener) {
+      // checks again as soon as the page is visible
+      this._onVisible = function() {
+        if (!document.hidden) {
+          self._stopLive();
+          self._pollLive();
+        }
+      };
+      document.addEventListener('visibilitychange', this._onVisible, false);
+      return;
+    }
+    var queries = this._liveQueries();
+    if (!queries.length) {
+      return;
+    }
+    var vars = {};
+    var sql = _.map(queries, function(query, i) {
+      vars['query' + i] = i;
+      vars['sql' + i] = query.sql;
+      return MapBase.LIVE_SQL.replace('{{{ query }}}', '{{{ query' + i + ' }}}').replace('{{ sql }}', '{{ sql' + i + ' }}');
+    }).join(' UNION ALL ');
+    var pollId = ++this._livePollId;
+    this._sqlClient().execute(sql, vars, { binding: 'typed' }).then(function(data) {
+      if (pollId !== self._livePollId) return;
+      self._liveChecked(queries, data.rows || []);
+      self._scheduleLive();
+    }, function() {
+      // tries again in the next interval
+      if (pollId !== self._livePollId) return;
+      self._scheduleLive();
+    });
+  },
+
+  // the sql of the visible sublayers with the numbers of the sublayers
+  // that use it
+  _liveQueries: function() {
+    var queries = [];
+    var bySQL = {};
+    var layers = this.layers || [];
+    for (var i = 0; i < layers.length; ++i) {
+      var sql = layers[i].options && layers[i].options.sql;
+      if (sql && this._isLayerVisible(layers[i])) {
+        if (!bySQL[sql]) {
+          queries.push(bySQL[sql] = { sql: sql, numbers: [] });
+        }
+        bySQL[sql].numbers.push(i);
+      }
+    }
+    return queries;
+  },
+
+  _liveChecked: function(queries, rows) {
+    var previous = this._liveUpdatedAt;
+    var updatedAt = {};
+    var changed = [];
+    var changedSQL = [];
+    for (var i = 0; i < rows.length; ++i) {
+      var query = queries[rows[i].query];
+      if (!query) continue;
+      var time = rows[i].updated_at;
+      updatedAt[query.sql] = time;
+      // the first check of a query is the reference
+      if (previous.hasOwnProperty(query.sql) && previous[query.sql] !== time) {
+        changed = changed.concat(query.numbers);
+        changedSQL.push(query.sql);
+      }
+    }
+    this._liveUpdatedAt = updatedAt;
+    if (!changed.length) {
+      return;
+    }
+
+    // the layergroups cached with the old data can't be used anymore
+    var cache = this._layergroupCache;
+    if (cache) {
+      cache.removeWhere(function(value) {
+        return _.any(changedSQL, function(sql) {
+          return value.key.indexOf(JSON.stringify(sql)) !== -1;
+        });
+      });
+    }
+    this.invalidate();
+    for (i = 0; i < changed.length; ++i) {
+      var sub = this.layers[changed[i]] && this.layers[changed[i]].sub;
+      sub && sub.trigger('dataChanged', sub);
+    }
+    this.trigger && this.trigger('dataChanged', changed);
+  },
+
+  /**
+   * fetches the attributes of a feature, callback(attributes) or
+   * callback(null) when the request fails. The attributes are cached for
+   * the current layergroup (see the attributesCache option) so a feature
+   * is only requested once. The callback is always invoked asynchronously,
+   * use getCachedAttributes to get the cached ones right away
+   */
   fetchAttributes: function(layer_index, feature_id, columnNames, callback) {
+    var cached = this.getCachedAttributes(layer_index, feature_id);
+    if (cached) {
+      setTimeout(function() {
+        callback(cached);
+      }, 0);
+      return;
+    }
+    this._requestAttributes(layer_index, feature_id, callback);
+  },
+
+  /**
+   * returns the cached attributes of a feature of the current layergroup,
+   * undefined when they have not been fetched yet
+   */
+  getCachedAttributes: function(layer_index, feature_id) {
+    var cache = this._getAttributesCache();
+    if (!cache || !this.mapProperties) {
+      return undefined;
+    }
+    return cache.get(this._attributesKey(layer_index, feature_id));
+  },
+
+  /**
+   * fetches the attributes of a feature into the cache without waiting
+   * for them, i.e. when the feature is hovered so its infowindow opens
+   * without the loading state. It does nothing without the cache
+   */
+  prefetchAttributes: function(layer_index, feature_id) {
+    if (!this.mapProperties || feature_id === undefined || feature_id === null ||
+        !this._getAttributesCache() || this.getCachedAttributes(layer_index, feature_id)) {
+      return;
+    }
+    this._requestAttributes(layer_index, feature_id, null);
+  },
+
+  /**
+   * the attributes of the clicked features and the prefetched ones are
+   * requested in two lanes, so a click doesn't wait behind the prefetches.
+   * In each lane they are requested one at a time because the JSONP
+   * requests share the callback name (so they can be cached by the browser
+   * and the CDN). The requests for the same feature are merged and only
+   * the last prefetch waiting for its turn is kept
+   */
+  _requestAttributes: function(layer_index, feature_id, callback) {
+    var key = this._attributesKey(layer_index, feature_id);
+    var queues = this._attributesQueues;
+    var match = function(r) { return r.key === key; };
+    var request = _.find(queues.click, match);
+    if (request) {
+      callback && request.callbacks.push(callback);
+      return;
+    }
+    request = _.find(queues.prefetch, match);
+    if (request) {
+      // the one being loaded is waited for, a waiting one moves to the
+      // clicks lane
+      if (!callback || request === queues.prefetch[0]) {
+        callback && request.callbacks.push(callback);
+        return;
+      }
+      queues.prefetch = _.without(queues.prefetch, request);
+    }
+
+    var lane = callback ? 'click' : 'prefetch';
+    var queue = queues[lane];
+    if (lane === 'prefetch') {
+      // the feature that was hovered before is not hovered anymore
+      queue.splice(1, queue.length);
+    }
+    request = { key: key, layer: layer_index, feature_id: feature_id, callbacks: callback ? [callback] : [] };
+    queue.push(request);
+    if (queue.length === 1) {
+      this._sendAttributesRequest(request, lane);
+    }
+  },
+
+  _sendAttributesRequest: function(request, lane) {
+    var self = this;
     this._attrCallbackName = this._attrCallbackName || this._callbackName();
-    var ajax = this.options.ajax;
+    var ajax = this._ajax();
     var loadingTime = cartodb.core.Profiler.metric('cartodb-js.named_map.attributes.time').start();
+
+    function done(attributes) {
+      loadingTime.end();
+      var queues = self._attributesQueues;
+      queues[lane] = _.without(queues[lane], request);
+      // the layergroup can change while the attributes are loading
+      var cache = self._getAttributesCache();
+      if (attributes && cache && self.mapProperties && request.key === self._attributesKey(request.layer, request.feature_id)) {
+        cache.set(request.key, attributes);
+      }
+      for (var i = 0; i < request.callbacks.length; ++i) {
+        request.callbacks[i](attributes);
+      }
+      if (queues[lane].length) {
+        self._sendAttributesRequest(queues[lane][0], lane);
+      }
+    }
+
+    // the layer was invalidated while the request was waiting
+    if (!this.mapProperties) {
+      setTimeout(function() {
+        done(null);
+      }, 0);
+      return;
+    }
+
     ajax({
       dataType: 'jsonp',
-      url: this._attributesUrl(layer_index, feature_id),
-      jsonpCallback: '_cdbi_layer_attributes_' + this._attrCallbackName,
+      url: this._attributesUrl(request.layer, request.feature_id),
+      jsonpCallback: '_cdbi_layer_attributes_' + this._attrCallbackName + (lane === 'prefetch' ? '_prefetch' : ''),
       cache: true,
       success: function(data) {
-        loadingTime.end();
-        callback(data);
+        done(data);
       },
       error: function(data) {
-        loadingTime.end();
         cartodb.core.Profiler.metric('cartodb-js.named_map.attributes.error').inc();
-        callback(null);
+        done(null);
       }
     });
   },
 
+  /**
+   * returns the cache of feature attributes, null when the attributesCache
+   * option is false. Like layergroupCache it can be true, { maxSize, ttl }
+   * or a cdb.core.LRUCache
+   */
+  _getAttributesCache: function() {
+    if (!this._attributesCache) {
+      this._attributesCache = this._createCache(this.options.attributesCache, {
+        maxSize: 100,
+        ttl: this.options.refreshTime || MapBase.LAYERGROUP_TTL
+      });
+    }
+    return this._attributesCache;
+  },
+
+  // layergroup id, layer and feature
+  _attributesKey: function(layer_index, feature_id) {
+    return [
+      this.mapProperties && this.mapProperties.getMapId(),
+      layer_index,
+      feature_id
+    ].join('/');
+  },
+
+  // removes the attributes that don't belong to the current layergroup
+  _purgeAttributes: function() {
+    var cache = this._attributesCache;
+    if (cache) {
+      var prefix = this.mapProperties.getMapId() + '/';
+      cache.removeWhere(function(value, key) {
+        return key.indexOf(prefix) !== 0;
+      });
+    }
+  },
+
   _callbackName: function() {
     return cdb.core.util.uniqueCallbackName(JSON.stringify(this.toJSON()));
   },
@@ -389,19 +926,12 @@ MapBase.prototype = {
     }
     this.createMap(function(data, err) {
       if(data) {
-        self.mapProperties = new MapProperties(data);
-        // if cdn_url is present, use it
-        if (data.cdn_url) {
-          self.options.cdn_url = self.options.cdn_url || {}
-          self.options.cdn_url = {
-            http: data.cdn_url.http || self.options.cdn_url.http,
-            https: data.cdn_url.https || self.options.cdn_url.https
-          }
-        }
-        self.urls = self._layerGroupTiles(self.mapProperties, self.options.extra_params);
+        self._setLayergroup(data);
+        self._cacheLayergroup(data);
         callback && callback(self.urls);
       } else {
         if ((self.named_map !== null) && (err) ){
+          err = self._sublayerErrors(err);
           callback && callback(null, err);
         } else if (self.visibleLayers().length === 0) {
           callback && callback({
@@ -415,15 +945,125 @@ MapBase.prototype = {
     return this;
   },
 
+  _setLayergroup: function(data) {
+    this.mapProperties = new MapProperties(data);
+    // if cdn_url is present, use it
+    if (data.cdn_url) {
+      this.options.cdn_url = this.options.cdn_url || {}
+      this.options.cdn_url = {
+        http: data.cdn_url.http || this.options.cdn_url.http,
+        https: data.cdn_url.https || this.options.cdn_url.https
+      }
+    }
+    this.urls = this._layerGroupTiles(this.mapProperties, this.options.extra_params);
+    this._purgeAttributes();
+  },
+
+  /**
+   * returns the cache of instantiated layergroups, null when the
+   * layergroupCache option is false. It can be true or { maxSize, ttl }
+   * to create one (the default) or a cdb.core.LRUCache shared by several
+   * layers. By default entries expire with the layergroup (refreshTime)
+   */
+  _getLayergroupCache: function() {
+    if (!this._layergroupCache) {
+      this._layergroupCache = this._createCache(this.options.layergroupCache, {
+        maxSize: 10,
+        ttl: this.options.refreshTime || MapBase.LAYERGROUP_TTL
+      });
+    }
+    return this._layergroupCache;
+  },
+
+  // cache option: false, true, { maxSize, ttl } or a cdb.core.LRUCache
+  _createCache: function(opt, defaults) {
+    if (opt === false) {
+      return null;
+    }
+    if (opt instanceof cdb.core.LRUCache) {
+      return opt;
+    }
+    return new cdb.core.LRUCache(_.defaults(_.isObject(opt) ? _.clone(opt) : {}, defaults));
+  },
+
+  /**
+   * returns the cached layergroup when the definition changed back to one
+   * instantiated recently (i.e a sublayer hidden and shown again). When
+   * it's the one already instantiated the layer is being refreshed so
+   * nothing is returned and it's instantiated again
+   */
+  _getCachedLayergroup: function() {
+    var cache = this._getLayergroupCache();
+    if (!cache) {
+      return null;
+    }
+    var key = this._layergroupKey();
+    if (key === this._instantiatedKey) {
+      return null;
+    }
+    var cached = cache.get(cdb.core.util.crc32(key));
+    return cached && cached.key === key ? cached.data : null;
+  },
+
+  _cacheLayergroup: function(data) {
+    var cache = this._getLayergroupCache();
+    if (cache) {
+      // the definition can't change before the response arrives without
+      // queueing another request, which discards this one
+      var key = this._instantiatedKey = this._layergroupKey();
+      cache.set(cdb.core.util.crc32(key), { key: key, data: data });
+    }
+  },
+
+  // everything the layergroup depends on, with the keys sorted so the
+  // same definition always gives the same key
+  _layergroupKey: function() {
+    return MapBase.canonicalJSON([
+      this._tilerHost(),
+      this.endPoint,
+      this._getParamsFromOptions(this.options),
+      this.toJSON()
+    ]);
+  },
+
+  /**
+   * maps the errors of the layergroup to the sublayers that caused them
+   * (sublayer in the error details, null when it's not known) and
+   * triggers error on those sublayers with the error detail
+   */
+  _sublayerErrors: function(err) {
+    err = MapBase.parseError(err);
+    var details = err.details || [];
+    for (var i = 0; i < details.length; ++i) {
+      var detail = details[i];
+      var number = detail.index === null ? -1 : this.getLayerNumberByIndex(detail.index);
+      detail.sublayer = number >= 0 ? number : null;
+    }
+    for (i = 0; i < details.length; ++i) {
+      if (details[i].sublayer !== null) {
+        var sublayer = this.getSubLayer(details[i].sublayer);
+        sublayer.trigger('error', details[i], sublayer);
+      }
+    }
+    return err;
+  },
+
   isHttps: function() {
     return this.options.maps_api_template.indexOf('https') === 0;
   },
 
+  /**
+   * returns the tile templates of the layergroup: tiles (png) and grids
+   * for each layer. With the mvt option it also returns the vector tile
+   * (.mvt) templates of each layer, in the same way as the grids
+   */
   _layerGroupTiles: function(mapProperties, params) {
     var grids = [];
     var tiles = [];
+    var mvt = this.options.mvt ? [] : null;
     var pngParams = this._encodeParams(params, this.options.pngParams);
     var gridParams = this._encodeParams(params, this.options.gridParams);
+    var mvtParams = mvt && this._encodeParams(params, this.options.mvtParams);
     var subdomains = this.options.subdomains || ['0', '1', '2', '3'];
     if(this.isHttps()) {
       subdomains = [null]; // no subdomain
@@ -443,16 +1083,26 @@ MapBase.prototype = {
           var index = mapProperties.getLayerIndexByType(layer, "mapnik");
           grids[layer] = grids[layer] || [];
           grids[layer].push(cartodb_url + "/" + index +  gridTemplate + ".grid.json" + (gridParams ? "?" + gridParams: ''));
+          if (mvt) {
+            mvt[layer] = mvt[layer] || [];
+            if (index !== -1) {
+              mvt[layer].push(cartodb_url + "/" + index + gridTemplate + ".mvt" + (mvtParams ? "?" + mvtParams: ''));
+            }
+          }
         }
       }
     } else {
       tiles = [MapBase.EMPTY_GIF];
     }
 
-    return {
+    var urls = {
       tiles: tiles,
       grids: grids
+    };
+    if (mvt) {
+      urls.mvt = mvt;
     }
+    return urls;
   },
 
   /**
@@ -566,6 +1216,36 @@ MapBase.prototype = {
     return t && t.indexOf('{user}') !== -1;
   },
 
+  // SQL API client for the user of the map. The host is sql_api_template
+  // or the sql_api_* options of the layer (viz.json), null without them.
+  // The sqlClient option can be a cartodb.SQL to use instead. The client
+  // is reused until the options it's built with change
+  _sqlClient: function() {
+    var opts = this.options;
+    if (opts.sqlClient) {
+      return opts.sqlClient;
+    }
+    var template = opts.sql_api_template;
+    if (!template && opts.sql_api_domain) {
+      var port = opts.sql_api_port ? ':' + opts.sql_api_port : '';
+      template = (opts.sql_api_protocol || 'https') + '://{user}.' + opts.sql_api_domain + port;
+    }
+    if (!template) {
+      return null;
+    }
+    var extra_params = opts.extra_params || {};
+    var sqlOptions = {
+      user: opts.user_name,
+      sql_api_template: template,
+      api_key: opts.api_key || extra_params.api_key
+    };
+    var key = JSON.stringify(sqlOptions);
+    if (!this._sql || this._sql.key !== key) {
+      this._sql = { key: key, client: new cartodb.SQL(sqlOptions) };
+    }
+    return this._sql.client;
+  },
+
   // Methods to operate with layers
   getLayer: function(index) {
     return _.clone(this.layers[index]);
@@ -780,6 +1460,55 @@ LayerDefinition.prototype = _.extend({}, MapBase.prototype, {
     return this;
   },
 
+  /**
+   * moves the sublayer from one position to another, the sublayers in
+   * between are moved one position. The interaction, the infowindows and
+   * the tooltips go with the sublayers
+   */
+  moveLayer: function(from, to) {
+    var count = this.getLayerCount();
+    if (from < 0 || from >= count || to < 0 || to >= count) {
+      throw new Error("layer index out of range");
+    }
+    if (from === to) {
+      return this;
+    }
+
+    function move(array) {
+      array.splice(to, 0, array.splice(from, 1)[0]);
+    }
+
+    var enabled = [];
+    for (var i = 0; i < count; ++i) {
+      enabled[i] = !!this.interactionEnabled[i];
+    }
+    move(enabled);
+    // the interaction layers are created again for the new positions
+    if (this.setInteraction) {
+      for (i = 0; i < count; ++i) {
+        this.interactionEnabled[i] && this.setInteraction(i, false);
+      }
+    }
+
+    move(this.layers);
+    // getInfowindowData looks for the infowindows there too
+    var definition = this.options.layer_definition;
+    if (definition && definition.layers !== this.layers && definition.layers.length === count) {
+      move(definition.layers);
+    }
+    this._reorderSubLayers();
+    this.invalidate();
+
+    if (this.setInteraction) {
+      for (i = 0; i < count; ++i) {
+        enabled[i] && this.setInteraction(i, true);
+      }
+    } else {
+      this.interactionEnabled = enabled;
+    }
+    return this;
+  },
+
   _reorderSubLayers: function() {
     for(var i = 0; i < this.layers.length; ++i) {
       var layer = this.layers[i];
@@ -878,17 +1607,231 @@ LayerDefinition.prototype = _.extend({}, MapBase.prototype, {
   createSubLayer: function(attrs, options) {
     this.addLayer(attrs);
     return this.getSubLayer(this.getLayerCount() - 1);
+  },
+
+  /**
+   * returns a named map template with the visible sublayers, so their SQL
+   * and CartoCSS can be kept in the server:
+   *
+   * ```
+   *  layerDefinition.toNamedMapTemplate({
+   *    name: 'populated_places',
+   *    auth: { valid_tokens: ['secret'] }, // open by default
+   *    placeholders: {
+   *      min_pop: { type: 'number', default: 10000 },
+   *      color: { type: 'css_color', default: '#F00' }
+   *    }
+   *  })
+   * ```
+   *
+   * the default of each placeholder is the literal replaced by its marker
+   * (<%= name %>): numbers in the SQL and the CartoCSS, css_color in the
+   * CartoCSS, sql_literal (the text between quotes) and sql_ident in the
+   * SQL. An Error is thrown when a placeholder is not found or when the
+   * template doesn't render the same layers with the params NamedMap
+   * sends (i.e placeholders that overlap)
+   */
+  toNamedMapTemplate: function(options) {
+    options = options || {};
+    var name = options.name;
+    if (!name || !/^[\w\-]+$/.test(name)) {
+      throw new Error("invalid named map name: " + name);
+    }
+
+    var layergroup = this.toJSON();
+    // the layers the template renders with the defaults
+    var expected = this.toJSON();
+    var placeholders = {};
+    var defaults = {};
+
+    _.each(options.placeholders || {}, function(placeholder, key) {
+      var type = placeholder.type;
+      var value = placeholder['default'];
+      if (!/^[a-z]\w*$/i.test(key)) {
+        throw new Error("invalid placeholder name: " + key);
+      }
+      if (!_.contains(NamedMap.PLACEHOLDER_TYPES, type)) {
+        throw new Error("invalid type for placeholder " + key + ": " + type);
+      }
+      if (value === undefined || value === null || value === '') {
+        throw new Error("placeholder " + key + " needs a default value");
+      }
+
+      var pattern = LayerDefinition._placeholderPattern(type, value);
+      var marker = '<%= ' + key + ' %>';
+      var rendered = NamedMap.renderParam(type, value);
+      var attrs = type === 'number' ? ['sql', 'cartocss'] : type === 'css_color' ? ['cartocss'] : ['sql'];
+      var found = false;
+      for (var i = 0; i < layergroup.layers.length; ++i) {
+        for (var j = 0; j < attrs.length; ++j) {
+          var layerOptions = layergroup.layers[i].options;
+          var str = layerOptions[attrs[j]];
+          if (typeof str === 'string' && str.search(pattern) !== -1) {
+            found = true;
+            layerOptions[attrs[j]] = str.replace(pattern, '$1' + marker + '$2');
+            expected.layers[i].options[attrs[j]] = expected.layers[i].options[attrs[j]].replace(pattern, '$1' + rendered + '$2');
+          }
+        }
+      }
+      if (!found) {
+        throw new Error("placeholder " + key + " not found in the layers: " + value);
+      }
+
+      placeholders[key] = {
+        type: type,
+        'default': type === 'number' ? +value : value
+      };
+      defaults[key] = placeholders[key]['default'];
+    });
+
+    var auth = options.auth || { method: 'open' };
+    if (auth.valid_tokens && !auth.method) {
+      auth = _.extend({ method: 'token' }, auth);
+    }
+
+    var template = {
+      version: NamedMap.TEMPLATE_VERSION,
+      name: name,
+      auth: auth,
+      placeholders: placeholders,
+      layergroup: layergroup
+    };
+
+    // the params are sent as NamedMap does and the template is rendered
+    // as the Maps API does
+    var namedMap = new NamedMap({ name: name, placeholders: placeholders }, {
+      maps_api_template: this.options.maps_api_template
+    });
+    namedMap.setParams(defaults);
+    var result = NamedMap.renderTemplate(template, namedMap.named_map.params);
+    if (MapBase.canonicalJSON(result) !== MapBase.canonicalJSON(expected)) {
+      throw new Error("the template doesn't render the layers back, check the placeholders don't overlap");
+    }
+    return template;
   }
 });
 
+/**
+ * regexp that matches the literals replaced by a placeholder, the
+ * characters around them are in the first and second groups
+ */
+LayerDefinition._placeholderPattern = function(type, value) {
+  var escape = function(str) {
+    return String(str).replace(/[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, '\\$&');
+  };
+  if (type === 'sql_literal') {
+    return new RegExp("(')" + escape(String(value).replace(/'/g, "''")) + "(')", 'g');
+  }
+  if (type === 'sql_ident') {
+    var quoted = escape(String(value).replace(/"/g, '""'));
+    return new RegExp('(^|[^\\w$"])(?:"' + quoted + '"|' + escape(value) + ')()(?![\\w$"])', 'g');
+  }
+  if (type === 'css_color') {
+    return new RegExp('(^|[^\\w#\\-])' + escape(value) + '()(?![\\w\\-])', 'gi');
+  }
+  return new RegExp('(^|[^\\w.])' + escape(value) + '()(?![\\w.])', 'g');
+};
+
 function NamedMap(named_map, options) {
   MapBase.call(this, options);
   this.options.pngParams.push('auth_token')
   this.options.gridParams.push('auth_token')
+  this.options.mvtParams.push('auth_token')
   this.setLayerDefinition(named_map, options)
   this.stat_tag = named_map.stat_tag;
+  // without placeholders in the definition (viz.json) they are taken
+  // from the template when there is a cartodb.NamedMaps client
+  if (!named_map.placeholders && this.options.namedMaps) {
+    this.loadParamsSchema(this.options.namedMaps);
+  }
 }
 
+NamedMap.TEMPLATE_VERSION = '0.0.1';
+NamedMap.PLACEHOLDER_TYPES = ['number', 'css_color', 'sql_literal', 'sql_ident'];
+
+/**
+ * value of a param in the rendered template, as the Maps API renders it:
+ * quotes are escaped in sql_literal and sql_ident is quoted
+ */
+NamedMap.renderParam = function(type, value) {
+  if (type === 'sql_literal') {
+    return String(value).replace(/'/g, "''");
+  }
+  if (type === 'sql_ident') {
+    return '"' + String(value).replace(/"/g, '""') + '"';
+  }
+  return String(value);
+};
+
+/**
+ * checks a param against the type of its placeholder and returns the
+ * value the Maps API expects, throws a TypeError when it's not valid.
+ * The checks are the ones of the Maps API
+ */
+NamedMap.coerceParam = function(name, type, value) {
+  function invalid(expected) {
+    return new TypeError("param " + name + " should be " + expected + ", got " + JSON.stringify(value));
+  }
+  if (_.isObject(value)) {
+    throw invalid('a ' + type);
+  }
+  if (type === 'number') {
+    var n = typeof value === 'string' && /^\s*$/.test(value) ? NaN : +value;
+    if (typeof value === 'boolean' || !_.isFinite(n)) {
+      throw invalid('a number');
+    }
+    return n;
+  }
+  if (type === 'css_color') {
+    var color = String(value).replace(/^\s+|\s+$/g, '');
+    if (!/^#[0-9a-f]{3}$|^#[0-9a-f]{6}$|^[a-z]+$/i.test(color)) {
+      throw invalid('a css color (#RGB, #RRGGBB or a color name)');
+    }
+    return color;
+  }
+  if (type === 'sql_ident') {
+    if (!/^[a-z_][\w$]*$/i.test(String(value))) {
+      throw invalid('a table or column name');
+    }
+    return String(value);
+  }
+  // sql_literal
+  return String(value);
+};
+
+/**
+ * returns the layergroup of a named map template with the markers
+ * replaced by the params (or the placeholder defaults)
+ */
+NamedMap.renderTemplate = function(template, params) {
+  params = params || {};
+  var placeholders = template.placeholders || {};
+  function render(value) {
+    if (typeof value === 'string') {
+      return value.replace(/<%=\s*(\w+)\s*%>/g, function(marker, key) {
+        var placeholder = placeholders[key];
+        if (!placeholder) {
+          throw new Error("unknown placeholder " + key);
+        }
+        var v = params[key] !== undefined ? params[key] : placeholder['default'];
+        return NamedMap.renderParam(placeholder.type, v);
+      });
+    }
+    if (_.isArray(value)) {
+      return _.map(value, render);
+    }
+    if (_.isObject(value)) {
+      var obj = {};
+      for (var k in value) {
+        obj[k] = render(value[k]);
+      }
+      return obj;
+    }
+    return value;
+  }
+  return render(template.layergroup);
+};
+
 NamedMap.prototype = _.extend({}, MapBase.prototype, {
 
   getSubLayer: function(index) {
@@ -914,6 +1857,10 @@ NamedMap.prototype = _.extend({}, MapBase.prototype, {
       layer.options = layer.options || { 'hidden': layer.visible === false };
       layer.options.layer_name = layer.layer_name;
     }
+    // the placeholders are kept while the template is the same
+    if (named_map.placeholders || !this.named_map || this.named_map.name !== named_map.name) {
+      this.setParamsSchema(named_map.placeholders || null);
+    }
     this.named_map = named_map;
     var token = named_map.auth_token || options.auth_token;
     if (token) {
@@ -945,6 +1892,8 @@ NamedMap.prototype = _.extend({}, MapBase.prototype, {
     if (!this.named_map.params) {
       this.named_map.params = {};
     }
+    // all the params are checked before any of them is set
+    params = this._coerceParams(params);
     for (var k in params) {
       if (params[k] === undefined || params[k] === null) {
         delete this.named_map.params[k];
@@ -956,6 +1905,81 @@ NamedMap.prototype = _.extend({}, MapBase.prototype, {
     return this;
   },
 
+  /**
+   * sets the placeholders of the template ({ name: { type, default } }, as
+   * they come in the viz.json or cartodb.NamedMaps.get) so setParams
+   * checks the params and converts them to the type of the placeholder.
+   * Without them any param is sent to the Maps API
+   */
+  setParamsSchema: function(placeholders) {
+    var schema = null;
+    if (placeholders) {
+      schema = {};
+      _.each(placeholders, function(placeholder, name) {
+        if (!_.contains(NamedMap.PLACEHOLDER_TYPES, placeholder.type)) {
+          throw new Error("invalid type for placeholder " + name + ": " + placeholder.type);
+        }
+        schema[name] = { type: placeholder.type, 'default': placeholder['default'] };
+      });
+    }
+    this._paramsSchema = schema;
+    return this;
+  },
+
+  /**
+   * sets the placeholders of the template of the named map fetched with a
+   * cartodb.NamedMaps client. Returns a promise fulfilled with
+   * getParamsSchema()
+   */
+  loadParamsSchema: function(namedMaps) {
+    var self = this;
+    var name = this.named_map.name;
+    return namedMaps.get(name).then(function(template) {
+      // the layer definition changed to another template meanwhile
+      if (self.named_map.name === name) {
+        self.setParamsSchema((template && template.placeholders) || {});
+      }
+      return self.getParamsSchema();
+    });
+  },
+
+  /**
+   * returns the placeholders with their type, default and current value
+   * ({ name: { type, default, value } }) to build the controls to change
+   * them, null when they are not known
+   */
+  getParamsSchema: function() {
+    if (!this._paramsSchema) {
+      return null;
+    }
+    var params = this.named_map.params || {};
+    var schema = {};
+    _.each(this._paramsSchema, function(placeholder, name) {
+      schema[name] = {
+        type: placeholder.type,
+        'default': placeholder['default'],
+        value: params[name] !== undefined ? params[name] : placeholder['default']
+      };
+    });
+    return schema;
+  },
+
+  _coerceParams: function(params) {
+    var schema = this._paramsSchema;
+    if (!schema) {
+      return params;
+    }
+    var coerced = {};
+    for (var k in params) {
+      var value = params[k];
+      if (!schema.hasOwnProperty(k)) {
+        throw new Error("unknown param " + k + " for named map " + this.named_map.name + ", the placeholders are: " + _.keys(schema).join(', '));
+      }
+      coerced[k] = value === undefined || value === null ? value : NamedMap.coerceParam(k, schema[k].type, value);
+    }
+    return coerced;
+  },
+
   toJSON: function() {
     var payload = this.named_map.params || {};
     for(var i = 0; i < this.layers.length; ++i) {
@@ -1027,10 +2051,18 @@ NamedMap.prototype = _.extend({}, MapBase.prototype, {
     throw new Error("sublayers are read-only in Named Maps");
   },
 
+  moveLayer: function(from, to) {
+    throw new Error("sublayers are read-only in Named Maps");
+  },
+
   // for named maps the layers are always the same (i.e they are
   // not removed to hide) so the number does not change
   getLayerIndexByNumber: function(number) {
     return +number;
+  },
+
+  getLayerNumberByIndex: function(index) {
+    return +index;
   }
 });
 
@@ -359,8 +359,15 @@
       // Substitutes the GMaps baselayer w/ an equivalent Leaflet tiled layer, since not supporting Gmaps anymore
       "gmapsbase": cdb.geo.LeafLetGmapsTiledLayerView,
 
-      "layergroup": cdb.geo.LeafLetCartoDBLayerGroupView,
-      "namedmap": cdb.geo.LeafLetCartoDBNamedMapView,
+      // with the mvt option the layers are rendered from the vector tiles
+      "layergroup": function(layer, map) {
+        var View = layer.get('mvt') ? cdb.geo.LeafLetCartoDBMVTLayerGroupView : cdb.geo.LeafLetCartoDBLayerGroupView;
+        return new View(layer, map);
+      },
+      "namedmap": function(layer, map) {
+        var View = layer.get('mvt') ? cdb.geo.LeafLetCartoDBMVTNamedMapView : cdb.geo.LeafLetCartoDBNamedMapView;
+        return new View(layer, map);
+      },
       "torque": function(layer, map) {
         return new cdb.geo.LeafLetTorqueLayer(layer, map);
       }
@@ -139,6 +139,8 @@ L.CartoDBGroupLayerBase = L.TileLayer.extend({
       L.TileLayer.prototype.onAdd.call(self, map);
       self.fire('added');
       self.options.added = true;
+      // the live checks stop while the layer is not in the map
+      self._scheduleLive();
     });
   },
 
@@ -150,6 +152,7 @@ L.CartoDBGroupLayerBase = L.TileLayer.extend({
    * When removes the layer, destroy interactivity if exist
    */
   onRemove: function(map) {
+    this._stopLive();
     if(this.options.added) {
       this.options.added = false;
       L.TileLayer.prototype.onRemove.call(this, map);
@@ -400,8 +403,9 @@ function layerView(base) {
     },
 
     error: function(e) {
-      this.trigger('error', e ? (e.errors || e) : 'unknown error');
-      this.model.trigger('error', e?e.errors:'unknown error');
+      var err = MapBase.parseError(e);
+      this.trigger('error', err.errors, err);
+      this.model.trigger('error', err.errors, err);
     },
 
     ok: function(e) {
@@ -449,7 +453,295 @@ L.NamedMap = L.CartoDBGroupLayerBase.extend({
   }
 });
 
+// ajax for the vector tiles when fetch is not supported (there is no
+// transport), jQuery and reqwest can't read the response as an ArrayBuffer
+function arrayBufferAjax(params) {
+  var xhr = new XMLHttpRequest();
+  xhr.open('GET', params.url, true);
+  xhr.responseType = 'arraybuffer';
+  xhr.onload = function() {
+    if (xhr.status >= 200 && xhr.status < 300) {
+      params.success && params.success(xhr.response, 'success', xhr);
+    } else {
+      params.error && params.error(xhr, 'error', xhr.statusText);
+    }
+  };
+  xhr.onerror = function() {
+    params.error && params.error(xhr, 'error', xhr.statusText);
+  };
+  xhr.send();
+  return xhr;
+}
+
+/**
+ * layergroup rendered in the client from the vector tiles (.mvt) of each
+ * sublayer. The features are drawn in canvas tiles with the simple style
+ * of the sublayer CartoCSS (see cdb.geo.MVT.styleFromCartoCSS), which can
+ * be changed with the mvtStyle(feature, layer, zoom) option, and the
+ * interaction is tested against the features instead of the UTFGrid
+ */
+function mvtLayer(base) {
+  return base.extend({
+
+    options: {
+      mvt: true,
+      mvtTolerance: 3 // px around lines and points that count as over them
+    },
+
+    redraw: L.TileLayer.Canvas.prototype.redraw,
+
+    _createTile: L.TileLayer.Canvas.prototype._createTile,
+
+    _redrawTile: function(tile) {
+      this._drawTile(tile);
+    },
+
+    onAdd: function(map) {
+      base.prototype.onAdd.call(this, map);
+      map.on('mousemove', this._onMouseMove, this);
+      map.on('click', this._onClick, this);
+    },
+
+    onRemove: function(map) {
+      map.off('mousemove', this._onMouseMove, this);
+      map.off('click', this._onClick, this);
+      base.prototype.onRemove.call(this, map);
+    },
+
+    // there is no interaction layer, the features of the tiles are used
+    setInteraction: function(layer, b) {
+      // shift arguments to maintain caompatibility
+      if(b == undefined) {
+        b = layer;
+        layer = 0;
+      }
+      this.interactionEnabled[layer] = b;
+      return this;
+    },
+
+    /**
+     * returns the url of the vector tile of each visible sublayer,
+     * [{ layer: number, url: url }]
+     */
+    _mvtUrls: function(tilePoint) {
+      var templates = (this.tilejson && this.tilejson.mvt) || [];
+      var urls = [];
+      for (var i = 0; i < templates.length; ++i) {
+        var layer = this.getLayerNumberByIndex(i);
+        var t = templates[i];
+        if (layer !== -1 && t && t.length) {
+          urls.push({
+            layer: layer,
+            url: L.Util.template(t[(tilePoint.x + tilePoint.y) % t.length], {
+              z: tilePoint.z,
+              x: tilePoint.x,
+              y: tilePoint.y
+            })
+          });
+        }
+      }
+      return urls;
+    },
+
+    _loadTile: function(tile, tilePoint) {
+      var self = this;
+      var point = L.point(tilePoint.x, tilePoint.y);
+      this._adjustTilePoint(point);
+
+      tile._layer = this;
+      tile._tilePoint = tilePoint;
+      tile._zoom = point.z;
+      tile._features = [];
+      var requestId = tile._mvtRequestId = (tile._mvtRequestId || 0) + 1;
+
+      var urls = this._mvtUrls(point);
+      var pending = urls.length;
+      if (!pending) {
+        this._drawTile(tile);
+        this._tileOnLoad.call(tile);
+        return;
+      }
+      _.each(urls, function(u) {
+        self.fire('tileloadstart', { tile: tile, url: u.url });
+        self._fetchTile(u.url, function(layers) {
+          // the tile was reused for another tile meanwhile
+          if (requestId !== tile._mvtRequestId) return;
+          if (layers) {
+            tile._features[u.layer] = _.flatten(_.pluck(_.values(layers), 'features'), true);
+            tile._extent = _.values(layers).length ? _.values(layers)[0].extent : 4096;
+          } else {
+            self.fire('tileerror', { tile: tile, url: u.url });
+          }
+          if (--pending === 0) {
+            self._drawTile(tile);
+            self._tileOnLoad.call(tile);
+          }
+        });
+      });
+    },
+
+    // calls callback with the decoded tile, null when it can't be loaded.
+    // The tiles are requested as the rest of Maps API requests, with the
+    // ajax, transport and retry options
+    _fetchTile: function(url, callback) {
+      return this._ajax(arrayBufferAjax)({
+        url: url,
+        type: 'GET',
+        dataType: 'arraybuffer',
+        crossOrigin: true,
+        success: function(data) {
+          var layers = null;
+          try {
+            // 204 when the tile is empty
+            layers = data && data.byteLength ? cdb.geo.MVT.decode(data) : {};
+          } catch(e) {
+            cdb.log.error("MVT: " + e.message);
+          }
+          callback(layers);
+        },
+        error: function() {
+          callback(null);
+        }
+      });
+    },
+
+    _layerStyle: function(layer) {
+      var def = this.layers[layer];
+      var cartocss = (def && def.options && def.options.cartocss) || '';
+      var styles = this._mvtStyles || (this._mvtStyles = {});
+      return styles[cartocss] || (styles[cartocss] = cdb.geo.MVT.styleFromCartoCSS(cartocss));
+    },
+
+    _featureStyle: function(feature, layer, zoom) {
+      var TYPES = cdb.geo.MVT.GEOMETRY_TYPES;
+      var type = feature.type === TYPES.POINT ? 'point' : (feature.type === TYPES.LINESTRING ? 'line' : 'polygon');
+      var style = this._layerStyle(layer)[type];
+      if (this.options.mvtStyle) {
+        style = _.extend({}, style, this.options.mvtStyle(feature, layer, zoom));
+      }
+      return style;
+    },
+
+    _drawTile: function(tile) {
+      var ctx = tile.getContext('2d');
+      var size = this.options.tileSize;
+      var scale = size / (tile._extent || 4096);
+      var zoom = tile._zoom;
+      var TYPES = cdb.geo.MVT.GEOMETRY_TYPES;
+      ctx.clearRect(0, 0, size, size);
+
+      for (var layer = 0; layer < tile._features.length; ++layer) {
+        var features = tile._features[layer] || [];
+        for (var i = 0; i < features.length; ++i) {
+          var feature = features[i];
+          var style = this._featureStyle(feature, layer, zoom);
+          var rings = feature.geometry;
+          ctx.beginPath();
+          for (var r = 0; r < rings.length; ++r) {
+            for (var p = 0; p < rings[r].length; ++p) {
+              var x = rings[r][p].x * scale, y = rings[r][p].y * scale;
+              if (feature.type === TYPES.POINT) {
+                ctx.moveTo(x + style.radius, y);
+                ctx.arc(x, y, style.radius, 0, Math.PI * 2);
+              } else if (p === 0) {
+                ctx.moveTo(x, y);
+              } else {
+                ctx.lineTo(x, y);
+              }
+            }
+          }
+          if (feature.type !== TYPES.LINESTRING && style.fill) {
+            ctx.globalAlpha = style.fillOpacity;
+            ctx.fillStyle = style.fill;
+            ctx.fill('evenodd');
+          }
+          if (style.stroke && style.strokeWidth > 0) {
+            ctx.globalAlpha = style.strokeOpacity;
+            ctx.strokeStyle = style.stroke;
+            ctx.lineWidth = style.strokeWidth;
+            ctx.stroke();
+          }
+        }
+      }
+      ctx.globalAlpha = 1;
+    },
+
+    /**
+     * returns { layer: number, feature: feature } for the top most feature
+     * with interaction under the latlng, null if there is none
+     */
+    _featureAt: function(latlng) {
+      var map = this.options.map;
+      if (!this._tiles || !map) {
+        return null;
+      }
+      var size = this.options.tileSize;
+      var point = map.project(latlng, map.getZoom());
+      var tilePoint = point.divideBy(size).floor();
+      var tile = this._tiles[tilePoint.x + ':' + tilePoint.y];
+      if (!tile || !tile._features) {
+        return null;
+      }
+      var scale = (tile._extent || 4096) / size;
+      var x = (point.x - tilePoint.x * size) * scale;
+      var y = (point.y - tilePoint.y * size) * scale;
+      var TYPES = cdb.geo.MVT.GEOMETRY_TYPES;
+
+      for (var layer = tile._features.length - 1; layer >= 0; --layer) {
+        var features = tile._features[layer];
+        if (!features || !this.interactionEnabled[layer]) continue;
+        for (var i = features.length - 1; i >= 0; --i) {
+          var feature = features[i];
+          var style = this._featureStyle(feature, layer, map.getZoom());
+          var tolerance = this.options.mvtTolerance + (style.strokeWidth || 0) / 2 +
+            (feature.type === TYPES.POINT ? style.radius : 0);
+          if (cdb.geo.MVT.hitTest(feature, x, y, tolerance * scale)) {
+            return { layer: layer, feature: feature };
+          }
+        }
+      }
+      return null;
+    },
+
+    _featureData: function(feature) {
+      var data = _.clone(feature.properties);
+      // the Maps API uses the cartodb_id as feature id
+      if (data.cartodb_id === undefined && feature.id !== null) {
+        data.cartodb_id = feature.id;
+      }
+      return data;
+    },
+
+    _onMouseMove: function(e) {
+      if (this._interactionDisabled) return;
+      var hit = this._featureAt(e.latlng);
+      var hovered = this._hoveredLayer;
+      if (hovered !== undefined && (!hit || hit.layer !== hovered)) {
+        delete this._hoveredLayer;
+        this.options.featureOut && this.options.featureOut(e.originalEvent, hovered);
+      }
+      if (hit) {
+        this._hoveredLayer = hit.layer;
+        this.options.featureOver && this.options.featureOver(e.originalEvent, e.latlng, e.containerPoint, this._featureData(hit.feature), hit.layer);
+      }
+    },
+
+    _onClick: function(e) {
+      if (this._interactionDisabled) return;
+      var hit = this._featureAt(e.latlng);
+      if (hit && this.options.featureClick) {
+        this.options.featureClick(e.originalEvent, e.latlng, e.containerPoint, this._featureData(hit.feature), hit.layer);
+      }
+    }
+  });
+}
+
+L.CartoDBMVTGroupLayer = mvtLayer(L.CartoDBGroupLayer);
+L.NamedMapMVT = mvtLayer(L.NamedMap);
+
 cdb.geo.LeafLetCartoDBLayerGroupView = layerView(L.CartoDBGroupLayer);
 cdb.geo.LeafLetCartoDBNamedMapView = layerView(L.NamedMap);
+cdb.geo.LeafLetCartoDBMVTLayerGroupView = layerView(L.CartoDBMVTGroupLayer);
+cdb.geo.LeafLetCartoDBMVTNamedMapView = layerView(L.NamedMapMVT);
 
 })();
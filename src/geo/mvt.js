@@ -0,0 +1,348 @@
+/**
+ * Mapbox vector tiles (MVT) support for the layers that render the
+ * layergroup tiles in the client:
+ *
+ *  - decode(buffer): decodes a .mvt tile
+ *  - styleFromCartoCSS(cartocss): simple style (fill, stroke, radius...)
+ *    from the first level properties of a CartoCSS
+ *  - hitTest(feature, x, y, tolerance): true when the point (in tile
+ *    coordinates) is over the feature
+ *
+ * ```
+ *  var tile = cdb.geo.MVT.decode(xhr.response);
+ *  tile.layer0.features[0] // { id: 1, type: 3, properties: {...}, geometry: [[{ x: 0, y: 0 }, ...]] }
+ * ```
+ */
+(function() {
+
+  var GEOMETRY_TYPES = { UNKNOWN: 0, POINT: 1, LINESTRING: 2, POLYGON: 3 };
+
+  function Reader(buffer) {
+    this.buf = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    this.pos = 0;
+    this.view = new DataView(this.buf.buffer, this.buf.byteOffset, this.buf.byteLength);
+  }
+
+  Reader.prototype = {
+
+    // calls fn(tag, type, end) for each field of the message ending at end
+    readFields: function(end, fn, ctx) {
+      while (this.pos < end) {
+        var key = this.readVarint();
+        var start = this.pos;
+        fn.call(ctx, key >> 3, key & 7, this);
+        if (this.pos === start) {
+          this.skip(key & 7);
+        }
+      }
+    },
+
+    readVarint: function() {
+      var value = 0, shift = 0, b;
+      do {
+        if (this.pos >= this.buf.length) {
+          throw new Error('unexpected end of the tile');
+        }
+        b = this.buf[this.pos++];
+        // multiply instead of shifting, there are values above 32 bits
+        value += (b & 0x7f) * Math.pow(2, shift);
+        shift += 7;
+      } while (b & 0x80);
+      return value;
+    },
+
+    readSVarint: function() {
+      return zigzag(this.readVarint());
+    },
+
+    readFloat: function() {
+      var v = this.view.getFloat32(this.pos, true);
+      this.pos += 4;
+      return v;
+    },
+
+    readDouble: function() {
+      var v = this.view.getFloat64(this.pos, true);
+      this.pos += 8;
+      return v;
+    },
+
+    readString: function() {
+      var end = this.readVarint() + this.pos;
+      var str = utf8(this.buf, this.pos, end);
+      this.pos = end;
+      return str;
+    },
+
+    readPacked: function() {
+      var end = this.readVarint() + this.pos;
+      var values = [];
+      while (this.pos < end) {
+        values.push(this.readVarint());
+      }
+      return values;
+    },
+
+    // end position of the length delimited field being read
+    readEnd: function() {
+      return this.readVarint() + this.pos;
+    },
+
+    skip: function(type) {
+      if (type === 0) {
+        this.readVarint();
+      } else if (type === 1) {
+        this.pos += 8;
+      } else if (type === 2) {
+        this.pos = this.readEnd();
+      } else if (type === 5) {
+        this.pos += 4;
+      } else {
+        throw new Error('unsupported wire type ' + type);
+      }
+    }
+  };
+
+  function zigzag(n) {
+    return n % 2 === 1 ? (n + 1) / -2 : n / 2;
+  }
+
+  function utf8(buf, start, end) {
+    var str = '';
+    var i = start;
+    while (i < end) {
+      var c = buf[i++];
+      if (c > 0xEF) {
+        c = ((c & 0x07) << 18) | ((buf[i++] & 0x3F) << 12) | ((buf[i++] & 0x3F) << 6) | (buf[i++] & 0x3F);
+        c -= 0x10000;
+        str += String.fromCharCode(0xD800 + (c >> 10), 0xDC00 + (c & 0x3FF));
+        continue;
+      } else if (c > 0xDF) {
+        c = ((c & 0x0F) << 12) | ((buf[i++] & 0x3F) << 6) | (buf[i++] & 0x3F);
+      } else if (c > 0x7F) {
+        c = ((c & 0x1F) << 6) | (buf[i++] & 0x3F);
+      }
+      str += String.fromCharCode(c);
+    }
+    return str;
+  }
+
+  function readValue(pbf) {
+    var end = pbf.readEnd();
+    var value = null;
+    pbf.readFields(end, function(tag, type) {
+      if (tag === 1) value = pbf.readString();
+      else if (tag === 2) value = pbf.readFloat();
+      else if (tag === 3) value = pbf.readDouble();
+      else if (tag === 4) value = pbf.readVarint();
+      else if (tag === 5) value = pbf.readVarint();
+      else if (tag === 6) value = pbf.readSVarint();
+      else if (tag === 7) value = !!pbf.readVarint();
+    });
+    return value;
+  }
+
+  // geometry commands to rings of points
+  function readGeometry(commands) {
+    var rings = [];
+    var ring = null;
+    var x = 0, y = 0;
+    var i = 0;
+    while (i < commands.length) {
+      var cmd = commands[i] & 0x7;
+      var count = commands[i] >> 3;
+      ++i;
+      if (cmd === 1 || cmd === 2) {
+        for (var j = 0; j < count; ++j) {
+          x += zigzag(commands[i++]);
+          y += zigzag(commands[i++]);
+          if (cmd === 1) {
+            ring && rings.push(ring);
+            ring = [];
+          }
+          ring.push({ x: x, y: y });
+        }
+      } else if (cmd === 7) {
+        ring && ring.length && ring.push({ x: ring[0].x, y: ring[0].y });
+      } else {
+        throw new Error('unknown geometry command ' + cmd);
+      }
+    }
+    ring && rings.push(ring);
+    return rings;
+  }
+
+  function readLayer(pbf, end) {
+    var layer = { name: '', version: 1, extent: 4096, features: [] };
+    var keys = [];
+    var values = [];
+    var features = [];
+    pbf.readFields(end, function(tag, type) {
+      if (tag === 15) layer.version = pbf.readVarint();
+      else if (tag === 1) layer.name = pbf.readString();
+      else if (tag === 5) layer.extent = pbf.readVarint();
+      else if (tag === 3) keys.push(pbf.readString());
+      else if (tag === 4) values.push(readValue(pbf));
+      else if (tag === 2) {
+        var feature = { id: null, type: GEOMETRY_TYPES.UNKNOWN, tags: [], geometry: [] };
+        pbf.readFields(pbf.readEnd(), function(tag, type) {
+          if (tag === 1) feature.id = pbf.readVarint();
+          else if (tag === 2) feature.tags = pbf.readPacked();
+          else if (tag === 3) feature.type = pbf.readVarint();
+          else if (tag === 4) feature.geometry = pbf.readPacked();
+        });
+        features.push(feature);
+      }
+    });
+    // the keys and values can come after the features
+    for (var i = 0; i < features.length; ++i) {
+      var f = features[i];
+      var properties = {};
+      for (var t = 0; t < f.tags.length; t += 2) {
+        properties[keys[f.tags[t]]] = values[f.tags[t + 1]];
+      }
+      layer.features.push({
+        id: f.id,
+        type: f.type,
+        properties: properties,
+        geometry: readGeometry(f.geometry)
+      });
+    }
+    return layer;
+  }
+
+  /**
+   * decodes a tile (ArrayBuffer or Uint8Array), returns the layers by name
+   */
+  function decode(buffer) {
+    var pbf = new Reader(buffer);
+    var layers = {};
+    pbf.readFields(pbf.buf.length, function(tag, type) {
+      if (tag === 3) {
+        var layer = readLayer(pbf, pbf.readEnd());
+        layers[layer.name] = layer;
+      }
+    });
+    return layers;
+  }
+
+  var COLOR = /^(#[0-9a-f]{3,8}|rgba?\([^)]*\)|hsla?\([^)]*\)|[a-z]+)$/i;
+
+  var STYLE_DEFAULTS = {
+    point: { fill: '#FF6600', fillOpacity: 1, stroke: '#FFFFFF', strokeWidth: 1, strokeOpacity: 1, radius: 5 },
+    line: { stroke: '#FF6600', strokeWidth: 1, strokeOpacity: 1 },
+    polygon: { fill: '#FF6600', fillOpacity: 0.7, stroke: '#FFFFFF', strokeWidth: 0.5, strokeOpacity: 1 }
+  };
+
+  // CartoCSS property for each style attribute
+  var CARTOCSS_PROPERTIES = {
+    point: {
+      fill: 'marker-fill', fillOpacity: 'marker-fill-opacity', stroke: 'marker-line-color',
+      strokeWidth: 'marker-line-width', strokeOpacity: 'marker-line-opacity', radius: 'marker-width'
+    },
+    line: { stroke: 'line-color', strokeWidth: 'line-width', strokeOpacity: 'line-opacity' },
+    polygon: {
+      fill: 'polygon-fill', fillOpacity: 'polygon-opacity', stroke: 'line-color',
+      strokeWidth: 'line-width', strokeOpacity: 'line-opacity'
+    }
+  };
+
+  /**
+   * returns { point, line, polygon } with the fill, fillOpacity, stroke,
+   * strokeWidth, strokeOpacity and radius of each geometry type. Only the
+   * first value of each property is used, the ones that are not plain
+   * colors or numbers (variables, ramps, expressions) are ignored
+   */
+  function styleFromCartoCSS(cartocss) {
+    var declarations = {};
+    var css = String(cartocss || '').replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/[^\n]*/g, '');
+    var re = /([a-z\-]+)\s*:\s*([^;{}]+);/gi;
+    var match;
+    while (match = re.exec(css)) {
+      var name = match[1].toLowerCase();
+      if (!(name in declarations)) {
+        declarations[name] = match[2].trim ? match[2].trim() : match[2].replace(/^\s+|\s+$/g, '');
+      }
+    }
+
+    var style = {};
+    _.each(CARTOCSS_PROPERTIES, function(properties, geometryType) {
+      var s = style[geometryType] = _.clone(STYLE_DEFAULTS[geometryType]);
+      _.each(properties, function(property, attr) {
+        var value = declarations[property];
+        if (value === undefined) return;
+        if (attr === 'fill' || attr === 'stroke') {
+          if (COLOR.test(value)) s[attr] = value;
+        } else if (!isNaN(parseFloat(value)) && /^[\d.\s]+$/.test(value)) {
+          s[attr] = parseFloat(value);
+        }
+      });
+      if (geometryType === 'point' && declarations['marker-width'] !== undefined) {
+        // marker-width is the diameter
+        s.radius = s.radius / 2;
+      }
+    });
+    return style;
+  }
+
+  function pointInRings(rings, x, y) {
+    var inside = false;
+    for (var r = 0; r < rings.length; ++r) {
+      var ring = rings[r];
+      for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        var a = ring[i], b = ring[j];
+        if (((a.y > y) !== (b.y > y)) && (x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x)) {
+          inside = !inside;
+        }
+      }
+    }
+    return inside;
+  }
+
+  function distanceToSegment(x, y, a, b) {
+    var dx = b.x - a.x, dy = b.y - a.y;
+    var t = dx || dy ? ((x - a.x) * dx + (y - a.y) * dy) / (dx * dx + dy * dy) : 0;
+    t = Math.max(0, Math.min(1, t));
+    var px = a.x + t * dx - x, py = a.y + t * dy - y;
+    return Math.sqrt(px * px + py * py);
+  }
+
+  /**
+   * x, y and tolerance are in tile coordinates (0 to extent)
+   */
+  function hitTest(feature, x, y, tolerance) {
+    var rings = feature.geometry;
+    var i, j;
+    tolerance = tolerance || 0;
+    if (feature.type === GEOMETRY_TYPES.POLYGON) {
+      return pointInRings(rings, x, y);
+    }
+    for (i = 0; i < rings.length; ++i) {
+      var ring = rings[i];
+      if (feature.type === GEOMETRY_TYPES.POINT) {
+        for (j = 0; j < ring.length; ++j) {
+          var dx = ring[j].x - x, dy = ring[j].y - y;
+          if (Math.sqrt(dx * dx + dy * dy) <= tolerance) {
+            return true;
+          }
+        }
+      } else {
+        for (j = 1; j < ring.length; ++j) {
+          if (distanceToSegment(x, y, ring[j - 1], ring[j]) <= tolerance) {
+            return true;
+          }
+        }
+      }
+    }
+    return false;
+  }
+
+  cdb.geo.MVT = {
+    GEOMETRY_TYPES: GEOMETRY_TYPES,
+    STYLE_DEFAULTS: STYLE_DEFAULTS,
+    decode: decode,
+    styleFromCartoCSS: styleFromCartoCSS,
+    hitTest: hitTest
+  };
+
+})();
@@ -88,6 +88,44 @@ SubLayerBase.prototype = {
     return ! this.get('hidden');
   },
 
+  /**
+   * moves the sublayer to the position index. The sublayers are drawn in
+   * order, so the last one is on top of the others
+   */
+  setIndex: function(index) {
+    this._check();
+    this._parent.moveLayer(this._position, index);
+    return this;
+  },
+
+  // one position over the next sublayer
+  moveUp: function() {
+    this._check();
+    if (this._position < this._parent.getLayerCount() - 1) {
+      this.setIndex(this._position + 1);
+    }
+    return this;
+  },
+
+  // one position under the previous sublayer
+  moveDown: function() {
+    this._check();
+    if (this._position > 0) {
+      this.setIndex(this._position - 1);
+    }
+    return this;
+  },
+
+  // on top of all the sublayers
+  bringToFront: function() {
+    return this.setIndex(this._parent.getLayerCount() - 1);
+  },
+
+  // under all the sublayers
+  sendToBack: function() {
+    return this.setIndex(0);
+  },
+
   _check: function() {
     if(!this._added) throw "sublayer was removed";
   },
@@ -186,9 +224,81 @@ CartoDBSubLayer.prototype = _.extend({}, SubLayerBase.prototype, {
     this._unbindInteraction();
   },
 
-  setSQL: function(sql) {
-    return this.set({
-      sql: sql
+  /**
+   * with the preflight option, or the preflight option of the layer, the
+   * query is checked with checkSQL before it's set. Once it's set the
+   * sublayer triggers preflight with the fields of the query, or error
+   * with the APIError of type preflight when it's not valid
+   */
+  setSQL: function(sql, options) {
+    var preflight = options && options.preflight;
+    if (preflight === undefined && this._parent.options) {
+      preflight = this._parent.options.preflight;
+    }
+    // the checks in progress are discarded
+    var preflightId = this._preflightId = (this._preflightId || 0) + 1;
+    if (!preflight) {
+      return this.set({
+        sql: sql
+      });
+    }
+    var self = this;
+    this.checkSQL(sql).then(function(fields) {
+      if (preflightId !== self._preflightId) return;
+      self.set({
+        sql: sql
+      });
+      self.trigger('preflight', fields, self);
+    }, function(err) {
+      if (preflightId !== self._preflightId) return;
+      self.trigger('error', err, self);
+    });
+    return this;
+  },
+
+  /**
+   * checks that the query runs and selects the columns the sublayer needs:
+   * the_geom_webmercator (the_raster_webmercator for raster sublayers), and
+   * cartodb_id and the interactivity columns when there is interactivity.
+   *
+   * Returns a promise fulfilled with the fields of the query, or rejected
+   * with an APIError of type preflight
+   */
+  checkSQL: function(sql) {
+    sql = sql || this.getSQL();
+    var position = this._position;
+    var interactivity = this.getInteractivity() || [];
+    var required = [this.get('raster') ? 'the_raster_webmercator' : 'the_geom_webmercator'];
+    if (interactivity.length > 0) {
+      required = required.concat('cartodb_id', interactivity);
+    }
+    var client = this._parent._sqlClient();
+    if (!client) {
+      return cartodb.core.Promise.reject(new cartodb.core.APIError('the sql of the sublayer ' + position + ' can not be checked: ' + MapBase.NO_SQL_API, {
+        type: 'preflight',
+        sql: sql
+      }));
+    }
+    var query = 'SELECT * FROM ({{{ sql }}}) __wrap LIMIT 0';
+    return client.execute(query, { sql: sql }, { binding: 'typed' }).then(function(data) {
+      var missing = _.difference(_.uniq(required), _.keys(data.fields || {}));
+      if (missing.length > 0) {
+        var message = 'the sql of the sublayer ' + position + ' should select the columns ' + missing.join(', ');
+        throw new cartodb.core.APIError(message, {
+          type: 'preflight',
+          errors: [message],
+          columns: missing,
+          sql: sql
+        });
+      }
+      return data.fields;
+    }, function(err) {
+      throw new cartodb.core.APIError('the sql of the sublayer ' + position + ' is not valid: ' + err.message, {
+        type: 'preflight',
+        errors: err.errors || [],
+        status: err.status,
+        sql: sql
+      });
     });
   },
 
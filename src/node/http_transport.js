@@ -0,0 +1,151 @@
+/**
+ * ajax function for node built on top of the http and https modules. It
+ * takes the jQuery.ajax params the SQL and Maps API clients use:
+ *
+ *  - url, type or method, data, dataType, contentType, headers, timeout
+ *  - success(data, status, xhr) and error(xhr, status, message)
+ *
+ * xhr is a minimal XMLHttpRequest: status, statusText, responseText and
+ * getResponseHeader(name). jsonp requests are sent as json requests since
+ * the APIs answer json when there is no callback.
+ *
+ * It returns an object with an abort method.
+ *
+ * options:
+ *  - headers: headers sent with every request
+ *  - timeout: ms before a request is aborted, 0 for no timeout (0)
+ *  - agent: http.Agent used for the requests
+ *  - http, https: modules used to send the requests, { request: fn }
+ */
+
+var url = require('url');
+var querystring = require('querystring');
+
+function createTransport(options) {
+  options = options || {};
+  var modules = {
+    'http:': options.http || require('http'),
+    'https:': options.https || require('https')
+  };
+
+  return function ajax(params) {
+    var method = (params.method || params.type || 'GET').toUpperCase();
+    var dataType = params.dataType === 'jsonp' ? 'json' : params.dataType;
+    var location = url.parse(params.url);
+    var headers = extend({}, options.headers, params.headers);
+    var body = null;
+
+    if (params.data !== undefined && params.data !== null) {
+      var data = typeof(params.data) === 'string' ? params.data : querystring.stringify(params.data);
+      if (method === 'GET' || method === 'HEAD') {
+        location.search = (location.search ? location.search + '&' : '?') + data;
+        location.path = location.pathname + location.search;
+      } else {
+        body = data;
+        headers['Content-Type'] = params.contentType || 'application/x-www-form-urlencoded; charset=UTF-8';
+        headers['Content-Length'] = Buffer.byteLength(body);
+      }
+    }
+    if (dataType === 'json' && !headers.Accept) {
+      headers.Accept = 'application/json';
+    }
+
+    var xhr = {
+      status: 0,
+      statusText: '',
+      responseText: '',
+      getResponseHeader: function(name) {
+        var value = this._headers && this._headers[name.toLowerCase()];
+        return value === undefined ? null : [].concat(value).join(', ');
+      }
+    };
+    var finished = false;
+
+    function done(status, statusText) {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      xhr.status = status;
+      xhr.statusText = statusText;
+      xhr.response = xhr.responseText;
+      if (status < 200 || status >= 300) {
+        params.error && params.error(xhr, status ? 'error' : statusText, statusText);
+        return;
+      }
+      var result = xhr.responseText;
+      if (dataType === 'json') {
+        try {
+          result = xhr.responseText ? JSON.parse(xhr.responseText) : null;
+        } catch(e) {
+          params.error && params.error(xhr, 'parsererror', e.message);
+          return;
+        }
+      }
+      params.success && params.success(result, 'success', xhr);
+    }
+
+    var http = modules[location.protocol];
+    if (!http) {
+      throw new Error("protocol " + location.protocol + " is not supported");
+    }
+
+    var request = http.request({
+      method: method,
+      protocol: location.protocol,
+      hostname: location.hostname,
+      port: location.port,
+      path: location.path,
+      headers: headers,
+      agent: options.agent
+    }, function(res) {
+      var chunks = [];
+      res.setEncoding('utf8');
+      res.on('data', function(chunk) {
+        chunks.push(chunk);
+      });
+      res.on('end', function() {
+        xhr._headers = res.headers;
+        xhr.responseText = chunks.join('');
+        done(res.statusCode, res.statusMessage || '');
+      });
+    });
+
+    request.on('error', function(e) {
+      done(0, e.message);
+    });
+
+    var timeout = params.timeout || options.timeout;
+    var timer = null;
+    if (timeout) {
+      timer = setTimeout(function() {
+        request.abort();
+        done(0, 'timeout');
+      }, timeout);
+    }
+
+    if (body !== null) {
+      request.write(body);
+    }
+    request.end();
+
+    return {
+      abort: function() {
+        if (finished) return;
+        request.abort();
+        done(0, 'abort');
+      }
+    };
+  };
+}
+
+function extend(target) {
+  for (var i = 1; i < arguments.length; ++i) {
+    var source = arguments[i];
+    for (var k in source) {
+      target[k] = source[k];
+    }
+  }
+  return target;
+}
+
+module.exports = createTransport;
@@ -0,0 +1,81 @@
+/**
+ * node entry point. It loads the SQL and Tiles clients of cartodb.core.js
+ * in their own context, without a DOM, and sends the requests with an
+ * http/https transport instead of jQuery or reqwest
+ *
+ * ```
+ *  var cartodb = require('cartodb.js/node');
+ *  new cartodb.SQL({ user: 'rambo' }).execute('select 1').done(...);
+ *  cartodb.Tiles.getTiles({ user_name: 'rambo', sublayers: [...] }, function(tiles, err) { ... });
+ * ```
+ *
+ * The transport can be replaced for every client with
+ * cartodb.setTransport(ajax), or for one of them with the ajax option.
+ * cartodb.createTransport(options) returns a new http/https transport,
+ * see http_transport.js
+ */
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var createTransport = require('./http_transport');
+
+var ROOT = path.join(__dirname, '..', '..');
+
+// same files as cartodb.core.js but the ones that need the DOM
+var FILES = [
+  'vendor/underscore-min.js',
+  'vendor/mustache.js',
+  'src/cartodb.js',
+  'src/api/core_lib.js',
+  'src/core/promise.js',
+  'src/core/lru_cache.js',
+  'src/core/retry.js',
+  'src/core/transport.js',
+  'src/core/profiler.js',
+  'src/core/util.js',
+  'src/api/sql.js',
+  'src/api/sql_batch.js',
+  'src/geo/layer_definition.js',
+  'src/geo/sublayer.js',
+  'src/api/tiles.js',
+  'src/api/named_maps.js'
+];
+
+var transport = createTransport();
+
+// the clients use reqwest when there is no jQuery, the transport takes
+// its place. It's called through this function so it can be replaced
+function ajax(params) {
+  return transport(params);
+}
+ajax.compat = ajax;
+
+var context = vm.createContext({
+  Backbone: {},
+  reqwest: ajax,
+  console: console,
+  setTimeout: setTimeout,
+  clearTimeout: clearTimeout,
+  setInterval: setInterval,
+  clearInterval: clearInterval
+});
+
+FILES.forEach(function(file) {
+  var filename = path.join(ROOT, file);
+  vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename: filename });
+});
+
+var cartodb = context.cartodb;
+
+cartodb.createTransport = createTransport;
+
+/**
+ * sets the ajax function used by the clients that don't have the ajax option
+ */
+cartodb.setTransport = function(fn) {
+  transport = fn || createTransport();
+  return cartodb;
+};
+
+module.exports = cartodb;
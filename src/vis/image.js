@@ -87,6 +87,8 @@
 
       this.userOptions = options;
 
+      this.options.transport = options.transport;
+
       options = _.defaults({ vizjson: vizjson, temp_id: "s" + this._getUUID() }, this.defaults);
 
       this.imageOptions = options;
@@ -110,6 +112,8 @@
 
       this.userOptions = options;
 
+      this.options.transport = options.transport;
+
       this.options.api_key        = layerDefinition.api_key;
       this.options.user_name      = layerDefinition.user_name;
       this.options.tiler_protocol = layerDefinition.tiler_protocol;
@@ -105,6 +105,7 @@ var Vis = cdb.core.View.extend({
     this.overlays = [];
     this.moduleChecked = false;
     this.layersLoading = 0;
+    this._promise = new cdb.core.Promise();
 
     if (this.options.mapView) {
       this.mapView = this.options.mapView;
@@ -519,7 +520,9 @@ var Vis = cdb.core.View.extend({
     }
 
     _.defer(function() {
-      self.trigger('done', self, self.getLayers());
+      var layers = self.getLayers();
+      self._promise.resolve({ vis: self, layers: layers });
+      self.trigger('done', self, layers);
     })
 
     return this;
@@ -1220,7 +1223,7 @@ var Vis = cdb.core.View.extend({
         var fields = _.pluck(infowindowFields.fields, 'name');
         var cartodb_id = data.cartodb_id;
 
-        layerView.fetchAttributes(layer, cartodb_id, fields, function(attributes) {
+        var setAttributes = function(attributes) {
 
           // Old viz.json doesn't contain width and maxHeight properties
           // and we have to get the default values if there are not defined.
@@ -1250,13 +1253,23 @@ var Vis = cdb.core.View.extend({
           } else {
             infowindow.setError();
           }
-        });
+        };
 
-        // Show infowindow with loading state
-        infowindow
-          .setLatLng(latlng)
-          .setLoading()
-          .showInfowindow();
+        // Show infowindow with loading state, unless the attributes were
+        // already fetched (i.e prefetched while the feature was hovered).
+        // fetchAttributes always calls back asynchronously
+        var cached = layerView.getCachedAttributes && layerView.getCachedAttributes(layer, cartodb_id);
+        infowindow.setLatLng(latlng);
+        if (!cached) {
+          infowindow.setLoading();
+        }
+        infowindow.showInfowindow();
+
+        if (cached) {
+          setAttributes(cached);
+        } else {
+          layerView.fetchAttributes(layer, cartodb_id, fields, setAttributes);
+        }
 
         if (layerView.tooltip) {
           layerView.tooltip.setFilter(function(feature) {
@@ -1265,6 +1278,16 @@ var Vis = cdb.core.View.extend({
         }
     });
 
+    // with the prefetchAttributes option the attributes are fetched
+    // while the feature is hovered, before it is clicked
+    if (layerView.options && layerView.options.prefetchAttributes && layerView.prefetchAttributes) {
+      layerView.bind('featureOver', function(e, latlng, pos, data, layer) {
+        if (data && layerView.getInfowindowData(layer)) {
+          layerView.prefetchAttributes(layer, data.cartodb_id);
+        }
+      });
+    }
+
     var hovers = [];
 
     layerView.bind('mouseover', function() {
@@ -1292,6 +1315,19 @@ var Vis = cdb.core.View.extend({
 
       layerView.bind('loading', loadingTiles);
       layerView.bind('load',    loadTiles);
+
+      // layergroup errors come with the parsed error, see MapBase.parseError.
+      // They only fail the vis while it's loading, later ones (a tile or
+      // grid that fails) are just triggered
+      layerView.bind('error', function(errors, err) {
+        err = MapBase.parseError(err || { errors: [].concat(errors) });
+        if (self._promise.isPending()) {
+          self.throwError(err, layerView);
+        } else {
+          err.layer = err.layer || layerView;
+          self.trigger('error', err.message, layerView, err);
+        }
+      });
     }
   },
 
@@ -1329,11 +1365,23 @@ var Vis = cdb.core.View.extend({
     }
   },
 
+  /**
+   * logs the error, rejects the vis promise with an APIError and triggers
+   * error with the message, the layer and the APIError. msg can be a
+   * message or a Maps API error (see MapBase.parseError), which keeps its
+   * type and details
+   */
   throwError: function(msg, lyr) {
-    cdb.log.error(msg);
+    var err = typeof(msg) === 'string' ?
+      new cdb.core.APIError(msg, { type: 'vis' }) :
+      MapBase.parseError(msg);
+    err.layer = err.layer || lyr;
+    cdb.log.error(err.message);
+    // rejected right away, load resolves the promise in a deferred call
+    this._promise.reject(err);
     var self = this;
     _.defer(function() {
-      self.trigger('error', msg, lyr);
+      self.trigger('error', err.message, lyr, err);
     });
   },
 
@@ -1345,6 +1393,16 @@ var Vis = cdb.core.View.extend({
     return this.bind('done', fn);
   },
 
+  // the vis can't be fulfilled with itself (it's a thenable) so the promise
+  // is fulfilled with { vis: vis, layers: layers }
+  then: function(onFulfilled, onRejected) {
+    return this._promise.then(onFulfilled, onRejected);
+  },
+
+  'catch': function(onRejected) {
+    return this.then(null, onRejected);
+  },
+
   // public methods
   //
 
@@ -4,6 +4,75 @@ describe('api.layers', function() {
     loadLayerSpecs(function() {
       return L.map($('<div>')[0]).setView([0, 0], 3);
     });
+
+    describe('named map placeholders', function() {
+      var map, vizjson;
+
+      beforeEach(function() {
+        map = L.map($('<div>')[0]).setView([0, 0], 3);
+        vizjson = {
+          updated_at: 'jaja',
+          layers: [
+            { type: 'tiled', options: {} },
+            {
+              type: 'namedmap',
+              options: {
+                type: 'namedmap',
+                user_name: 'dev',
+                named_map: {
+                  name: 'places',
+                  stat_tag: 'vis_id',
+                  params: { min_pop: 1000 },
+                  layers: [{ layer_name: 'places', interactivity: 'cartodb_id', visible: true }]
+                }
+              }
+            }
+          ]
+        };
+      });
+
+      it("should read them from the named map of the viz.json", function(done) {
+        vizjson.layers[1].options.named_map.placeholders = {
+          min_pop: { type: 'number', 'default': 100 }
+        };
+        cartodb.createLayer(map, vizjson).done(function(layer) {
+          expect(layer.getParamsSchema()).toEqual({
+            min_pop: { type: 'number', 'default': 100, value: 1000 }
+          });
+          layer.setParams('min_pop', '50');
+          expect(layer.toJSON().min_pop).toEqual(50);
+          done();
+        });
+      });
+
+      it("should fetch them from the template with the namedMaps option", function(done) {
+        var urls = [];
+        var namedMaps = new cartodb.NamedMaps({
+          user_name: 'dev',
+          api_key: 'key',
+          ajax: function(params) {
+            urls.push(params.url);
+            params.success({
+              template: {
+                name: 'places',
+                placeholders: { min_pop: { type: 'number', 'default': 100 } }
+              }
+            });
+          }
+        });
+        cartodb.createLayer(map, vizjson, { namedMaps: namedMaps }).done(function(layer) {
+          expect(urls).toEqual(['https://dev.carto.com/api/v1/map/named/places?api_key=key']);
+          // the template is fetched in the background
+          setTimeout(function() {
+            expect(layer.getParamsSchema().min_pop.type).toEqual('number');
+            expect(function() {
+              layer.setParams('max_pop', 10);
+            }).toThrow();
+            done();
+          }, 10);
+        });
+      });
+    });
   });
 
   describe('loadLayer gmaps', function() {
@@ -32,6 +101,15 @@ describe('api.layers', function() {
         done();
       }, 1000);
     })
+
+    it("should reject the promise with an APIError", function(done) {
+      cartodb.createLayer({}, { kind: 'plain', options: {} }).then(null, function(err) {
+        expect(err instanceof cdb.core.APIError).toEqual(true);
+        expect(err.type).toEqual('layer');
+        expect(err.message).toEqual("cartodb.js can't guess the map type");
+        done();
+      });
+    });
   });
 
   //
@@ -0,0 +1,101 @@
+describe('cartodb.NamedMaps', function() {
+  var namedMaps, requests, responses;
+
+  beforeEach(function() {
+    requests = [];
+    responses = [];
+    namedMaps = new cartodb.NamedMaps({
+      user_name: 'rambo',
+      api_key: 'key',
+      ajax: function(params) {
+        requests.push(params);
+        var resp = responses.shift();
+        _.defer(function() {
+          if (resp && resp.status) {
+            params.error({ status: resp.status, responseText: JSON.stringify(resp.body) });
+          } else {
+            params.success(resp, 'success');
+          }
+        });
+      }
+    });
+  });
+
+  it("should list the templates", function(done) {
+    responses.push({ template_ids: ['a', 'b'] });
+    namedMaps.list().then(function(names) {
+      expect(names).toEqual(['a', 'b']);
+      expect(requests[0].type).toEqual('GET');
+      expect(requests[0].url).toEqual('https://rambo.carto.com/api/v1/map/named?api_key=key');
+      done();
+    });
+  });
+
+  it("should get a template", function(done) {
+    responses.push({ template: { name: 'my map' } });
+    namedMaps.get('my map').then(function(template) {
+      expect(template).toEqual({ name: 'my map' });
+      expect(requests[0].url).toEqual('https://rambo.carto.com/api/v1/map/named/my%20map?api_key=key');
+      done();
+    });
+  });
+
+  it("should create and update the templates", function(done) {
+    var template = { version: '0.0.1', name: 'places', auth: { method: 'open' }, layergroup: { layers: [] } };
+    responses.push({ template_id: 'places' }, { template_id: 'places' });
+    namedMaps.create(template).then(function(name) {
+      expect(name).toEqual('places');
+      expect(requests[0].type).toEqual('POST');
+      expect(requests[0].contentType).toEqual('application/json');
+      expect(JSON.parse(requests[0].data)).toEqual(template);
+      return namedMaps.update('places', _.omit(template, 'name'));
+    }).then(function(name) {
+      expect(name).toEqual('places');
+      expect(requests[1].type).toEqual('PUT');
+      expect(requests[1].url).toEqual('https://rambo.carto.com/api/v1/map/named/places?api_key=key');
+      expect(JSON.parse(requests[1].data).name).toEqual('places');
+      done();
+    });
+  });
+
+  it("should delete a template", function(done) {
+    responses.push(null);
+    namedMaps['delete']('places').then(function(name) {
+      expect(name).toEqual('places');
+      expect(requests[0].type).toEqual('DELETE');
+      done();
+    });
+  });
+
+  it("should reject with the parsed Maps API errors", function(done) {
+    responses.push({ status: 403, body: { errors: ['Unauthorized template instantiation'] } });
+    namedMaps.get('places').then(null, function(err) {
+      expect(err instanceof cartodb.core.APIError).toEqual(true);
+      expect(err.type).toEqual('auth');
+      expect(err.status).toEqual(403);
+      expect(err.errors).toEqual(['Unauthorized template instantiation']);
+      done();
+    });
+  });
+
+  it("should use the maps_api_template", function() {
+    namedMaps = new cartodb.NamedMaps({
+      user_name: 'rambo',
+      api_key: 'key',
+      maps_api_template: 'http://{user}.localhost.lan:8181',
+      ajax: function(params) { requests.push(params); }
+    });
+    namedMaps.list();
+    expect(requests[0].url).toEqual('http://rambo.localhost.lan:8181/api/v1/map/named?api_key=key');
+  });
+
+  it("should throw without user_name or api_key", function() {
+    expect(function() {
+      new cartodb.NamedMaps({ user_name: 'rambo' });
+    }).toThrow();
+    expect(function() {
+      new cartodb.NamedMaps({ api_key: 'key' });
+    }).toThrow();
+  });
+
+});
@@ -170,6 +170,50 @@ describe('SQL api client', function() {
     },10);
   });
 
+  it("should return a thenable", function(done) {
+    throwError = false;
+    sql.execute('select * from bla').then(function(data) {
+      expect(data).toEqual(TEST_DATA);
+      done();
+    });
+  });
+
+  it("should reject with an APIError on error", function(done) {
+    throwError = true;
+    sql.execute('select * from bla')['catch'](function(err) {
+      expect(err instanceof cdb.core.APIError).toEqual(true);
+      expect(err.type).toEqual('sql');
+      expect(err.errors).toEqual(['jaja']);
+      throwError = false;
+      done();
+    });
+  });
+
+  it("should reject with an APIError when the error is a string", function(done) {
+    sql = new cartodb.SQL({
+      user: USER,
+      ajax: function(params) {
+        _.defer(function() {
+          params.error({ status: 502, responseText: '{"error":"bad gateway"}' });
+        });
+      }
+    });
+    sql.execute('select * from bla')['catch'](function(err) {
+      expect(err.message).toEqual('bad gateway');
+      expect(err.errors).toEqual(['bad gateway']);
+      expect(err.status).toEqual(502);
+      done();
+    });
+  });
+
+  it("should reject getBounds when the query does not return geometries", function(done) {
+    throwError = false;
+    sql.getBounds('select * from rambo')['catch'](function(err) {
+      expect(err.type).toEqual('empty');
+      done();
+    });
+  });
+
   it("should include url params", function() {
     s = new cartodb.SQL({
       user: 'rambo',
@@ -269,19 +313,639 @@ describe('sql.table', function() {
 
   it("sql", function() {
     var s = sql.table('test');
-    expect(s.sql()).toEqual('select * from test');
+    expect(s.sql()).toEqual('select * from "test"');
     s.columns(['age', 'jeta'])
-    expect(s.sql()).toEqual('select age,jeta from test');
+    expect(s.sql()).toEqual('select "age", "jeta" from "test"');
     s.filter('age < 10')
-    expect(s.sql()).toEqual('select age,jeta from test where age < 10');
+    expect(s.sql()).toEqual('select "age", "jeta" from "test" where age < 10');
     s.limit(15)
-    expect(s.sql()).toEqual('select age,jeta from test where age < 10 limit 15');
+    expect(s.sql()).toEqual('select "age", "jeta" from "test" where age < 10 limit 15');
     s.order_by('age')
-    expect(s.sql()).toEqual('select age,jeta from test where age < 10 limit 15 order by age');
+    expect(s.sql()).toEqual('select "age", "jeta" from "test" where age < 10 order by "age" limit 15');
+    s.offset(30).desc()
+    expect(s.sql()).toEqual('select "age", "jeta" from "test" where age < 10 order by "age" desc limit 15 offset 30');
+  })
+
+  it("should use expressions as they are", function() {
+    var s = sql.table('test')
+      .columns(['cartodb_id', 'ST_AsGeoJSON(the_geom) as g', 'count(*)'])
+      .order_by('age desc');
+    expect(s.sql()).toEqual('select "cartodb_id", ST_AsGeoJSON(the_geom) as g, count(*) from "test" order by age desc');
+    s = sql.table('(select * from test) t').columns('t.*');
+    expect(s.sql()).toEqual('select t.* from (select * from test) t');
+  })
+
+  it("should render filters without vars with Mustache", function(done) {
+    var query;
+    sql = new cartodb.SQL({
+      user: USER,
+      protocol: 'https',
+      ajax: function(params) {
+        query = decodeURIComponent(params.url.split('q=')[1]);
+        params.success({ rows: [] }, 200);
+      }
+    });
+    var s = sql.table('test').filter("name = '{{name}}'").where({ age: { lt: 10 } });
+    expect(s.sql({ name: 'Madrid' })).toEqual('select * from "test" where (name = \'Madrid\') and ("age" < 10)');
+    s.fetch({ name: 'Paris' }).then(function() {
+      expect(query).toEqual('select * from "test" where (name = \'Paris\') and ("age" < 10)');
+      done();
+    });
+  })
+
+  it("should bind filter values", function() {
+    var s = sql.table('test').filter('name = {{ name }} and age < {{ age }}', { age: 10 });
+    expect(s.sql({ name: "O'Brien" })).toEqual('select * from "test" where name = \'O\'\'Brien\' and age < 10');
+  })
+
+  it("should build where conditions", function() {
+    var s = sql.table('test').where({
+      name: "O'Brien",
+      city: ['Madrid', 'Paris'],
+      age: { gte: 18, lt: 65 },
+      score: { between: [1, 10] },
+      deleted_at: null,
+      email: { ilike: '%@carto.com', 'null': false }
+    });
+    expect(s.sql()).toEqual('select * from "test" where "name" = \'O\'\'Brien\' and "city" in (\'Madrid\', \'Paris\') and "age" >= 18 and "age" < 65 and "score" between 1 and 10 and "deleted_at" is null and "email" ilike \'%@carto.com\' and "email" is not null');
+  })
+
+  it("should build or groups and join them with the filter", function() {
+    var s = sql.table('test')
+      .filter('age < {{ age }}', { age: 10 })
+      .where({ $or: [{ name: { like: 'a%' } }, { name: { nin: ['b', 'c'] } }] })
+      .where({ active: true });
+    expect(s.sql()).toEqual('select * from "test" where (age < 10) and (("name" like \'a%\' or "name" not in (\'b\', \'c\'))) and ("active" = TRUE)');
+  })
+
+  it("should not interpolate values of the conditions", function() {
+    var s = sql.table('test').where({ name: '{{{ name }}}' });
+    expect(s.sql()).toEqual('select * from "test" where "name" = \'{{{ name }}}\'');
+  })
+
+  it("should throw on unknown operators", function() {
+    expect(function() {
+      sql.table('test').where({ name: { drop: 1 } }).sql();
+    }).toThrow();
+  })
+
+  it("should build spatial conditions", function() {
+    var s = sql.table('test').bbox([-10, 35, 5, 45]);
+    expect(s.sql()).toEqual('select * from "test" where "the_geom" && ST_MakeEnvelope(-10, 35, 5, 45, 4326)');
+    s = sql.table('test').bbox([[35, -10], [45, 5]], 'geom');
+    expect(s.sql()).toEqual('select * from "test" where "geom" && ST_MakeEnvelope(-10, 35, 5, 45, 4326)');
+    s = sql.table('test').distance([40.4, -3.7], 1000);
+    expect(s.sql()).toEqual('select * from "test" where ST_DWithin("the_geom"::geography, ST_SetSRID(ST_MakePoint(-3.7, 40.4), 4326)::geography, 1000)');
+    s = sql.table('test').intersects({ type: 'Point', coordinates: [-3.7, 40.4] });
+    expect(s.sql()).toEqual('select * from "test" where ST_Intersects("the_geom", ST_SetSRID(ST_GeomFromGeoJSON(\'{"type":"Point","coordinates":[-3.7,40.4]}\'), 4326))');
+  })
+
+  it("should build joins and aggregates", function() {
+    var s = sql.table('test')
+      .join('cities', { 'test.city_id': 'cities.cartodb_id' }, 'left')
+      .group_by('cities.name')
+      .aggregate('total', 'count')
+      .aggregate('avg_age', 'avg', 'test.age')
+      .order_by('total', 'desc');
+    expect(s.sql()).toEqual('select "cities"."name", count(*) as "total", avg("test"."age") as "avg_age" from "test" left join "cities" on "test"."city_id" = "cities"."cartodb_id" group by "cities"."name" order by "total" desc');
+    expect(function() {
+      s.aggregate('a', 'string_agg', 'name');
+    }).toThrow();
+  })
+
+  it("should use expressions in groups, aggregates and joins as they are", function() {
+    var s = sql.table('test')
+      .join('cities c', { 'test.city_id': 'c.cartodb_id' })
+      .group_by(['c.name', "date_trunc('year', test.created_at)"])
+      .aggregate('area', 'sum', 'ST_Area(test.the_geom::geography)');
+    expect(s.sql()).toEqual('select "c"."name", date_trunc(\'year\', test.created_at), sum(ST_Area(test.the_geom::geography)) as "area" from "test" inner join cities c on "test"."city_id" = "c"."cartodb_id" group by "c"."name", date_trunc(\'year\', test.created_at)');
+  })
+
+  it("should fetch the number of rows", function(done) {
+    var query;
+    sql = new cartodb.SQL({
+      user: USER,
+      protocol: 'https',
+      ajax: function(params) {
+        query = decodeURIComponent(params.url.split('q=')[1]);
+        params.success({ rows: [{ count: 42 }] }, 200);
+      }
+    });
+    sql.table('test').where({ age: { gt: 10 } }).limit(10).count().then(function(count) {
+      expect(count).toEqual(42);
+      expect(query).toEqual('select count(*) as count from (select * from "test" where "age" > 10) _cdb_count');
+      done();
+    });
   })
 
 });
 
+describe('sql.table writes', function() {
+  var sql, queries, requests;
+
+  beforeEach(function() {
+    queries = [];
+    requests = [];
+    sql = new cartodb.SQL({
+      user: 'rambo',
+      protocol: 'https',
+      api_key: 'key',
+      ajax: function(params) {
+        requests.push(params);
+        var query = params.data ? params.data.q : decodeURIComponent(params.url.split('q=')[1].split('&')[0]);
+        queries.push(query);
+        var n = queries.length;
+        _.defer(function() {
+          params.success({ rows: [{ cartodb_id: n }] }, 200);
+        });
+      }
+    });
+  });
+
+  it("should insert rows with geometries and return the cartodb_ids", function(done) {
+    sql.table('test').insert([
+      { name: "O'Brien", the_geom: { lat: 40.4, lng: -3.7 } },
+      { name: 'b', age: 10, the_geom: { type: 'Point', coordinates: [1, 2] } }
+    ]).then(function(rows) {
+      expect(rows).toEqual([{ cartodb_id: 1 }]);
+      expect(queries[0]).toEqual('insert into "test" ("name", "the_geom", "age") values (\'O\'\'Brien\', ST_SetSRID(ST_MakePoint(-3.7, 40.4), 4326), DEFAULT), (\'b\', ST_SetSRID(ST_GeomFromGeoJSON(\'{"type":"Point","coordinates":[1,2]}\'), 4326), 10) returning "cartodb_id"');
+      done();
+    });
+  });
+
+  it("should insert in batches and send long queries by POST", function(done) {
+    var rows = [];
+    for (var i = 0; i < 250; ++i) {
+      rows.push({ name: 'row ' + i });
+    }
+    sql.table('test').insert(rows).then(function(ids) {
+      expect(queries.length).toEqual(3);
+      expect(ids).toEqual([{ cartodb_id: 1 }, { cartodb_id: 2 }, { cartodb_id: 3 }]);
+      expect(requests[0].data.q).toEqual(queries[0]);
+      expect(requests[0].data.api_key).toEqual('key');
+      done();
+    });
+  });
+
+  it("should upsert rows", function(done) {
+    sql.table('test').upsert([{ code: 'a', name: 'A' }], ['code']).then(function() {
+      expect(queries[0]).toEqual('insert into "test" ("code", "name") values (\'a\', \'A\') on conflict ("code") do update set "name" = excluded."name" returning "cartodb_id"');
+      expect(function() {
+        sql.table('test').upsert([{ code: 'a' }]);
+      }).toThrow();
+      done();
+    });
+  });
+
+  it("should update rows", function(done) {
+    sql.table('test').update({ name: 'new', the_geom: { lat: 1, lng: 2 } }).where({ cartodb_id: [1, 2] }).then(function(rows) {
+      expect(rows).toEqual([{ cartodb_id: 1 }]);
+      expect(queries[0]).toEqual('update "test" set "name" = \'new\', "the_geom" = ST_SetSRID(ST_MakePoint(2, 1), 4326) where "cartodb_id" in (1, 2) returning "cartodb_id"');
+      done();
+    });
+  });
+
+  it("should delete rows", function(done) {
+    var statement = sql.table('test')['delete']().filter('age > {{ age }}', { age: 10 }).returning([]);
+    expect(statement.sql()).toEqual('delete from "test" where age > 10');
+    statement.execute().then(function() {
+      expect(queries).toEqual(['delete from "test" where age > 10']);
+      done();
+    });
+  });
+
+  it("should not update or delete without conditions", function() {
+    expect(function() {
+      sql.table('test')['delete']().execute();
+    }).toThrow();
+    expect(sql.table('test')['delete']().where({}).sql()).toEqual('delete from "test" returning "cartodb_id"');
+  });
+
+});
+
+describe('sql typed binding', function() {
+  var SQL = cartodb.SQL;
+
+  it("should quote literals", function() {
+    expect(SQL.escapeLiteral("it's")).toEqual("'it''s'");
+    expect(SQL.escapeLiteral(10.5)).toEqual('10.5');
+    expect(SQL.escapeLiteral(true)).toEqual('TRUE');
+    expect(SQL.escapeLiteral(null)).toEqual('NULL');
+    expect(function() { SQL.escapeLiteral(NaN); }).toThrow();
+    expect(function() { SQL.escapeLiteral({ a: 1 }); }).toThrow();
+  });
+
+  it("should render arrays as lists", function() {
+    expect(SQL.escapeLiteral([1, 'a'])).toEqual("(1, 'a')");
+    expect(SQL.escapeLiteral([])).toEqual('(NULL)');
+  });
+
+  it("should render dates and geometries", function() {
+    expect(SQL.escapeLiteral(new Date(0))).toEqual("'1970-01-01T00:00:00.000Z'::timestamptz");
+    expect(SQL.escapeLiteral({ type: 'Point', coordinates: [1, 2] })).toEqual(
+      'ST_SetSRID(ST_GeomFromGeoJSON(\'{"type":"Point","coordinates":[1,2]}\'), 4326)'
+    );
+  });
+
+  it("should quote identifiers", function() {
+    expect(SQL.escapeIdentifier('my"table')).toEqual('"my""table"');
+    expect(SQL.escapeIdentifier('public.test')).toEqual('"public"."test"');
+    expect(SQL.escapeIdentifier('my table.name')).toEqual('"my table.name"');
+    expect(SQL.escapeIdentifier(['a', 'b'])).toEqual('"a", "b"');
+  });
+
+  it("should render placeholders by type", function() {
+    var q = SQL.render('select {{{ cols }}} from {{ table:ident }} where id in {{ ids }} and name = {{ name:literal }}', {
+      cols: 'count(*)',
+      table: 'test',
+      ids: [1, 2],
+      name: "{{ x }}'"
+    });
+    expect(q).toEqual('select count(*) from "test" where id in (1, 2) and name = \'{{ x }}\'\'\'');
+    expect(function() { SQL.render('{{ missing }}', {}); }).toThrow();
+    expect(function() { SQL.render('{{ a:unknown }}', { a: 1 }); }).toThrow();
+  });
+
+  it("should use the typed binding in execute when binding option is set", function() {
+    var ajaxParams;
+    var sql = new cartodb.SQL({
+      user: 'rambo',
+      protocol: 'https',
+      binding: 'typed',
+      ajax: function(params) { ajaxParams = params; }
+    });
+    sql.execute('select * from {{ table:ident }} where name = {{ name }}', { table: 'test', name: "it's" });
+    expect(ajaxParams.url).toEqual(
+      'https://rambo.carto.com/api/v2/sql?q=' + encodeURIComponent('select * from "test" where name = \'it\'\'s\'')
+    );
+  });
+
+});
+
+describe('sql response cache', function() {
+  var sql, requests;
+
+  beforeEach(function() {
+    requests = 0;
+    sql = new cartodb.SQL({
+      user: 'rambo',
+      protocol: 'https',
+      responseCache: { ttl: 60000, maxSize: 10 },
+      ajax: function(params) {
+        requests++;
+        _.defer(function() {
+          params.success({ rows: [{ n: requests }] }, 200);
+        });
+      }
+    });
+  });
+
+  it("should resolve repeated queries from the cache", function(done) {
+    sql.execute('select count(*) from test').then(function() {
+      return sql.execute('select count(*) from test');
+    }).then(function(data) {
+      expect(requests).toEqual(1);
+      expect(data.rows[0].n).toEqual(1);
+      done();
+    });
+  });
+
+  it("should not cache write queries", function(done) {
+    sql.execute('update test set a = 1').then(function() {
+      return sql.execute('update test set a = 1');
+    }).then(function() {
+      expect(requests).toEqual(2);
+      done();
+    });
+  });
+
+  it("should bypass and refresh the cache", function(done) {
+    sql.execute('select count(*) from test').then(function() {
+      return sql.execute('select count(*) from test', null, { cache: 'bypass' });
+    }).then(function(data) {
+      expect(data.rows[0].n).toEqual(2);
+      return sql.execute('select count(*) from test');
+    }).then(function(data) {
+      expect(data.rows[0].n).toEqual(1);
+      return sql.execute('select count(*) from test', null, { cache: 'refresh' });
+    }).then(function(data) {
+      expect(data.rows[0].n).toEqual(3);
+      return sql.execute('select count(*) from test');
+    }).then(function(data) {
+      expect(data.rows[0].n).toEqual(3);
+      expect(requests).toEqual(3);
+      done();
+    });
+  });
+
+  it("should invalidate the queries of a table", function(done) {
+    cartodb.core.Promise.all([
+      sql.execute('select count(*) from test'),
+      sql.execute('select count(*) from "test_2"')
+    ]).then(function() {
+      sql.invalidateCache('test');
+      return cartodb.core.Promise.all([
+        sql.execute('select count(*) from test'),
+        sql.execute('select count(*) from "test_2"')
+      ]);
+    }).then(function() {
+      expect(requests).toEqual(3);
+      done();
+    });
+  });
+
+  it("should use format and api_key in the cache key", function(done) {
+    sql.execute('select * from test').then(function() {
+      return sql.execute('select * from test', null, { format: 'geojson' });
+    }).then(function() {
+      return sql.execute('select * from test', null, { api_key: 'key' });
+    }).then(function() {
+      expect(requests).toEqual(3);
+      done();
+    });
+  });
+
+});
+
+describe('sql.export', function() {
+  var sql, ajaxParams, response;
+
+  beforeEach(function() {
+    sql = new cartodb.SQL({
+      user: 'rambo',
+      protocol: 'https',
+      ajax: function(params) {
+        ajaxParams = params;
+        _.defer(function() {
+          params.success(response, 200);
+        });
+      }
+    });
+  });
+
+  it("should export geojson", function(done) {
+    response = { type: 'FeatureCollection', features: [] };
+    sql['export']('select * from test', { format: 'GeoJSON' }).then(function(data) {
+      expect(data).toEqual(response);
+      expect(ajaxParams.dataType).toEqual('json');
+      expect(ajaxParams.url).toEqual('https://rambo.carto.com/api/v2/sql?q=select%20*%20from%20test&format=geojson');
+      done();
+    });
+  });
+
+  it("should export and parse csv", function(done) {
+    response = 'cartodb_id,name\r\n1,"Smith, ""John"""\r\n2,"two\nlines"\r\n3,\r\n';
+    sql['export']('select * from test', { format: 'csv', filename: 'my file' }).then(function(rows) {
+      expect(ajaxParams.dataType).toEqual('text');
+      expect(ajaxParams.url.indexOf('&filename=my%20file')).not.toEqual(-1);
+      expect(rows).toEqual([
+        { cartodb_id: '1', name: 'Smith, "John"' },
+        { cartodb_id: '2', name: 'two\nlines' },
+        { cartodb_id: '3', name: '' }
+      ]);
+      done();
+    });
+  });
+
+  it("should send long queries by POST", function(done) {
+    response = '<kml></kml>';
+    var query = 'select * from test where name = \'' + new Array(1100).join('a') + '\'';
+    sql['export'](query, { format: 'kml', filename: 'test' }).then(function(data) {
+      expect(data).toEqual('<kml></kml>');
+      expect(ajaxParams.data).toEqual({ q: query, format: 'kml', filename: 'test' });
+      done();
+    });
+  });
+
+  it("should not export unknown or binary formats", function() {
+    expect(function() {
+      sql['export']('select * from test', { format: 'xls' });
+    }).toThrow();
+    expect(function() {
+      sql['export']('select * from test', { format: 'shp' });
+    }).toThrow();
+  });
+
+});
+
+describe('sql retry', function() {
+  var sql, statuses, requests;
+
+  beforeEach(function() {
+    requests = 0;
+    sql = new cartodb.SQL({
+      user: 'rambo',
+      protocol: 'https',
+      retry: { delay: 1, jitter: 0 },
+      ajax: function(params) {
+        var status = statuses[requests++];
+        _.defer(function() {
+          if (status === 200) {
+            params.success({ rows: [] }, 200);
+          } else {
+            params.error({ status: status, responseText: '{"error":["too many requests"]}' });
+          }
+        });
+      }
+    });
+  });
+
+  it("should retry failed queries and trigger retry", function(done) {
+    statuses = [429, 503, 200];
+    var retries = [];
+    sql.on('retry', function(attempt, delay, xhr) {
+      retries.push(attempt + ':' + xhr.status);
+    });
+    sql.execute('select 1').then(function(data) {
+      expect(requests).toEqual(3);
+      expect(retries).toEqual(['1:429', '2:503']);
+      done();
+    });
+  });
+
+  it("should reject when the attempts are exhausted", function(done) {
+    statuses = [429, 429, 429, 429];
+    sql.execute('select 1').then(null, function(err) {
+      expect(requests).toEqual(4);
+      expect(err.status).toEqual(429);
+      expect(err.errors).toEqual(['too many requests']);
+      done();
+    });
+  });
+
+  it("should not retry when retry is disabled for a query", function(done) {
+    statuses = [429, 200];
+    sql.execute('select 1', null, { retry: false }).then(null, function() {
+      expect(requests).toEqual(1);
+      done();
+    });
+  });
+
+});
+
+describe('sql abort', function() {
+  var sql, xhr, params;
+
+  beforeEach(function() {
+    xhr = { abort: jasmine.createSpy('abort') };
+    sql = new cartodb.SQL({
+      user: 'rambo',
+      protocol: 'https',
+      ajax: function(p) {
+        params = p;
+        return xhr;
+      }
+    });
+  });
+
+  it("should abort the request and reject the promise", function(done) {
+    var promise = sql.execute('select * from test');
+    promise.then(null, function(err) {
+      expect(err.type).toEqual('abort');
+      expect(xhr.abort).toHaveBeenCalled();
+      // a late response is ignored
+      params.success({ rows: [] }, 200);
+      done();
+    });
+    promise.abort();
+  });
+
+  it("should not send the request when the signal is already aborted", function(done) {
+    params = null;
+    sql.execute('select * from test', null, { signal: { aborted: true } }).then(null, function(err) {
+      expect(err.type).toEqual('abort');
+      expect(params).toEqual(null);
+      done();
+    });
+  });
+
+  it("should abort when the signal is aborted", function(done) {
+    var listeners = {};
+    var signal = {
+      aborted: false,
+      addEventListener: function(name, fn) { listeners[name] = fn; },
+      removeEventListener: function(name, fn) {
+        if (listeners[name] === fn) delete listeners[name];
+      }
+    };
+    sql.execute('select * from test', null, { signal: signal }).then(null, function(err) {
+      expect(err.type).toEqual('abort');
+      expect(params.signal).toBeUndefined();
+      expect(xhr.abort).toHaveBeenCalled();
+      done();
+    });
+    listeners.abort();
+  });
+
+  it("should remove the abort listener once the request finishes", function(done) {
+    var listeners = {};
+    var signal = {
+      aborted: false,
+      addEventListener: function(name, fn) { listeners[name] = fn; },
+      removeEventListener: function(name, fn) {
+        if (listeners[name] === fn) delete listeners[name];
+      }
+    };
+    sql.execute('select * from test', null, { signal: signal }).then(function() {
+      expect(listeners.abort).toBeUndefined();
+      done();
+    });
+    expect(listeners.abort).toBeDefined();
+    params.success({ rows: [] }, 200);
+  });
+
+  it("should abort the page being fetched when a cursor is cancelled", function(done) {
+    var cursor = sql.paginate('select * from test');
+    cursor.next().then(function(result) {
+      expect(result.done).toEqual(true);
+      expect(xhr.abort).toHaveBeenCalled();
+      done();
+    });
+    setTimeout(function() {
+      cursor.cancel();
+    }, 10);
+  });
+
+});
+
+describe('sql.paginate', function() {
+  var sql, queries, pages;
+
+  beforeEach(function() {
+    queries = [];
+    // three pages of two rows
+    pages = [
+      { rows: [{ cartodb_id: 1 }, { cartodb_id: 2 }, { cartodb_id: 3 }] },
+      { rows: [{ cartodb_id: 3 }, { cartodb_id: 4 }, { cartodb_id: 5 }] },
+      { rows: [{ cartodb_id: 5 }] }
+    ];
+    sql = new cartodb.SQL({
+      user: 'rambo',
+      protocol: 'https',
+      ajax: function(params) {
+        queries.push(decodeURIComponent(params.url.split('q=')[1]));
+        var data = pages.shift();
+        _.defer(function() {
+          params.success(data, 200);
+        });
+      }
+    });
+  });
+
+  it("should fetch pages using keyset pagination", function(done) {
+    var cursor = sql.paginate('select * from test', { pageSize: 2 });
+    var received = [];
+    cursor.each(function(rows) {
+      received.push(_.pluck(rows, 'cartodb_id'));
+    }).then(function() {
+      expect(received).toEqual([[1, 2], [3, 4], [5]]);
+      expect(queries[0]).toEqual('SELECT * FROM (select * from test) _cdb_page ORDER BY "cartodb_id" ASC LIMIT 3');
+      expect(queries[1]).toEqual('SELECT * FROM (select * from test) _cdb_page WHERE "cartodb_id" > 2 ORDER BY "cartodb_id" ASC LIMIT 3');
+      expect(cursor.isDone()).toEqual(true);
+      done();
+    });
+  });
+
+  it("should trigger page and end events", function(done) {
+    var cursor = sql.paginate('select * from test', { pageSize: 2 });
+    var events = [];
+    cursor.on('page', function(rows, page) { events.push('page' + page); });
+    cursor.on('end', function() {
+      expect(events).toEqual(['page0', 'page1', 'page2']);
+      done();
+    });
+    cursor.each(function() {});
+  });
+
+  it("should support descending order", function(done) {
+    var cursor = sql.paginate('select * from test', { pageSize: 2, orderBy: 'updated_at', order: 'desc' });
+    pages = [{ rows: [{ updated_at: 'b' }, { updated_at: 'a' }, { updated_at: '0' }] }, { rows: [] }];
+    cursor.next().then(function() {
+      return cursor.next();
+    }).then(function() {
+      expect(queries[1]).toEqual('SELECT * FROM (select * from test) _cdb_page WHERE "updated_at" < \'a\' ORDER BY "updated_at" DESC LIMIT 3');
+      done();
+    });
+  });
+
+  it("should stop when cancelled", function(done) {
+    var cursor = sql.paginate('select * from test', { pageSize: 2 });
+    var cancelled = false;
+    cursor.on('cancel', function() { cancelled = true; });
+    cursor.next().then(function(result) {
+      expect(result.value.length).toEqual(2);
+      cursor.cancel();
+      return cursor.next();
+    }).then(function(result) {
+      expect(result.done).toEqual(true);
+      expect(cancelled).toEqual(true);
+      expect(queries.length).toEqual(1);
+      done();
+    });
+  });
+
+});
+
 describe("column descriptions", function(){
   var USER = 'manolo';
   var sql;
@@ -335,7 +999,7 @@ describe("column descriptions", function(){
         description = stuff;
         done();
       }
-      sql.describeString(sql, this.colString, callback); // THE COLS DON'T MATCH!!!
+      sql.describeString(this.query, this.colString.get('name'), callback);
     });
     
     it("should return correct properties", function(){
@@ -360,7 +1024,7 @@ describe("column descriptions", function(){
         description = stuff;
         done();
       }
-      sql.describeGeom(sql, this.colGeom, callback);
+      sql.describeGeom(this.query, this.colGeom.get('name'), callback);
     });
     it("should return correct properties", function(){
       expect(description.type).toEqual("geom");
@@ -382,7 +1046,7 @@ describe("column descriptions", function(){
         description = stuff;
         done();
       }
-      sql.describeFloat(sql, this.colGeom, callback);
+      sql.describeFloat(this.query, this.colFloat.get('name'), callback);
     });
     it("should return correct properties", function(){
       expect(description.type).toEqual("number");
@@ -396,6 +1060,10 @@ describe("column descriptions", function(){
         expect(description[arrayTypes[i]].constructor).toEqual(Array);
       }
     })
+
+    it("should skip the histogram buckets with an unparsable range", function(){
+      expect(description.hist).toEqual([]);
+    });
   });
   
   describe("boolean describer", function(){
@@ -415,7 +1083,7 @@ describe("column descriptions", function(){
         description = stuff;
         done();
       }
-      sql.describeBoolean(sql, this.colGeom, callback);
+      sql.describeBoolean(this.query, this.colBoolean.get('name'), callback);
     });
     it("should return correct properties", function(){
       expect(description.type).toEqual("boolean");
@@ -427,3 +1095,297 @@ describe("column descriptions", function(){
   });
   
 });
+
+describe("sql.describeAll", function() {
+  var sql, queries, responses;
+
+  beforeEach(function() {
+    queries = [];
+    responses = [];
+    sql = new cartodb.SQL({
+      user: 'manolo',
+      protocol: 'https',
+      ajax: function(params) {
+        queries.push(params.data ? params.data.q : decodeURIComponent(params.url.split('q=')[1]));
+        var resp = responses.shift();
+        _.defer(function() {
+          params.success(resp, 200);
+        });
+      }
+    });
+  });
+
+  it("should describe all the columns in two requests", function(done) {
+    responses.push({
+      rows: [],
+      fields: {
+        cartodb_id: { type: 'number' },
+        name: { type: 'string' },
+        active: { type: 'boolean' },
+        tags: { type: 'string[]' },
+        the_geom: { type: 'geometry' }
+      }
+    }, {
+      rows: [{
+        c0: { uniq: 2, cnt: 3, null_count: 0, null_ratio: 0, skew: 0.5, array_agg: '{"(a,2)","(b,1)"}' },
+        c1: { true_ratio: 0.5, null_ratio: 0, uniq: 2, cnt: 3 },
+        c2: null
+      }]
+    });
+    sql.describeAll('select * from test').then(function(descriptions) {
+      expect(queries.length).toEqual(2);
+      expect(queries[0]).toEqual('select * from (select * from test) __wrap limit 0');
+      expect(queries[1].indexOf('SELECT (SELECT row_to_json(_d) FROM (WITH t as (')).toEqual(0);
+      expect(queries[1].indexOf('AS c2')).not.toEqual(-1);
+      expect(_.keys(descriptions)).toEqual(['name', 'active', 'the_geom']);
+      expect(descriptions.name.type).toEqual('string');
+      expect(descriptions.name.column).toEqual('name');
+      expect(descriptions.name.hist).toEqual([['a', 2], ['b', 1]]);
+      expect(descriptions.active.true_ratio).toEqual(0.5);
+      expect(descriptions.the_geom).toEqual(null);
+      done();
+    });
+  });
+
+  it("should use the given column types and sample tables", function(done) {
+    responses.push({ rows: [{ c0: { true_ratio: 1, null_ratio: 0, uniq: 1, cnt: 1 } }] });
+    sql.describeAll('select * from test', {
+      columns: { active: 'boolean' },
+      sampleRate: 0.1
+    }).then(function(descriptions) {
+      expect(queries.length).toEqual(1);
+      expect(queries[0].indexOf('from (select * from test tablesample system (10) repeatable (0)) _wrap')).not.toEqual(-1);
+      expect(descriptions.active.count).toEqual(1);
+      done();
+    });
+  });
+
+  it("should sample queries with a hash of the rows", function(done) {
+    responses.push({ rows: [{ c0: null }] });
+    sql.describeAll('select * from test where a > 1', {
+      columns: { active: 'boolean' },
+      sampleRate: 0.25
+    }).then(function() {
+      expect(queries[0].indexOf('from (select * from (select * from test where a > 1) _sample where (hashtext(_sample::text) & 2147483647) % 10000 < 2500) _wrap')).not.toEqual(-1);
+      done();
+    });
+  });
+
+});
+
+describe("sql.explain", function() {
+  var sql, query, response;
+
+  beforeEach(function() {
+    sql = new cartodb.SQL({
+      user: 'manolo',
+      protocol: 'https',
+      ajax: function(params) {
+        query = decodeURIComponent(params.url.split('q=')[1]);
+        _.defer(function() {
+          params.success(response, 200);
+        });
+      }
+    });
+  });
+
+  it("should return the plan and the times", function(done) {
+    response = {
+      time: 0.012,
+      rows: [{
+        'QUERY PLAN': [{
+          Plan: { 'Node Type': 'Seq Scan', 'Total Cost': 12.5, 'Plan Rows': 100 },
+          'Planning Time': 0.1,
+          'Execution Time': 2.3
+        }]
+      }]
+    };
+    sql.explain('select * from test', { analyze: true }).then(function(explain) {
+      expect(query).toEqual('EXPLAIN (FORMAT JSON, ANALYZE) select * from test');
+      expect(explain.plan['Node Type']).toEqual('Seq Scan');
+      expect(explain.total_cost).toEqual(12.5);
+      expect(explain.rows).toEqual(100);
+      expect(explain.planning_time).toEqual(0.1);
+      expect(explain.execution_time).toEqual(2.3);
+      expect(explain.time).toEqual(0.012);
+      done();
+    });
+  });
+
+  it("should parse the plan when it comes as text", function(done) {
+    response = {
+      time: 0.005,
+      rows: [{ 'QUERY PLAN': JSON.stringify([{ Plan: { 'Total Cost': 1 } }]) }]
+    };
+    sql.explain('select 1', function(explain) {
+      expect(query).toEqual('EXPLAIN (FORMAT JSON) select 1');
+      expect(explain.total_cost).toEqual(1);
+      expect(explain.execution_time).toEqual(null);
+      done();
+    });
+  });
+
+});
+
+describe("sql dataviews", function() {
+  var sql, queries, responses;
+
+  beforeEach(function() {
+    queries = [];
+    responses = [];
+    sql = new cartodb.SQL({
+      user: 'manolo',
+      protocol: 'https',
+      ajax: function(params) {
+        queries.push(params.data ? params.data.q : decodeURIComponent(params.url.split('q=')[1]));
+        var resp = responses.shift();
+        _.defer(function() {
+          params.success(resp, 200);
+        });
+      }
+    });
+  });
+
+  it("should return all the bins of the histogram", function(done) {
+    responses.push({ rows: [
+      { start: 0, end: 30, count: 12, nulls: 2, bin: 0, min: 1, max: 9, avg: 5, freq: 6 },
+      { start: 0, end: 30, count: 12, nulls: 2, bin: 2, min: 20, max: 30, avg: 25, freq: 4 }
+    ]});
+    sql.histogram('select * from test', 'price', { bins: 3, start: 0 }).then(function(histogram) {
+      expect(queries[0]).toContain('SELECT "price"::numeric AS _value FROM (select * from test) _h');
+      expect(queries[0]).toContain('coalesce(0::numeric, min(_value))');
+      expect(queries[0]).toContain('coalesce(NULL::numeric, max(_value))');
+      expect(histogram.type).toEqual('histogram');
+      expect(histogram.bin_width).toEqual(10);
+      expect(histogram.count).toEqual(12);
+      expect(histogram.nulls).toEqual(2);
+      expect(histogram.bins.length).toEqual(3);
+      expect(histogram.bins[1]).toEqual({ bin: 1, start: 10, end: 20, min: null, max: null, avg: null, freq: 0 });
+      expect(histogram.bins[2]).toEqual({ bin: 2, start: 20, end: 30, min: 20, max: 30, avg: 25, freq: 4 });
+      done();
+    });
+  });
+
+  it("should return an empty histogram when there are no values", function(done) {
+    responses.push({ rows: [{ start: null, end: null, count: 0, nulls: 0, bin: null, freq: null }] });
+    sql.histogram('select * from test', 'price', function(histogram) {
+      expect(histogram.bins).toEqual([]);
+      expect(histogram.bins_count).toEqual(10);
+      done();
+    });
+  });
+
+  it("should aggregate the categories", function(done) {
+    responses.push({ rows: [
+      { categories_count: 3, min: 2, max: 10, count: 20, nulls: 1, category: 'a', value: 10, agg: false },
+      { categories_count: 3, min: 2, max: 10, count: 20, nulls: 1, category: 'b', value: 7, agg: false },
+      { categories_count: 3, min: 2, max: 10, count: 20, nulls: 1, category: 'Other', value: 2, agg: true }
+    ]});
+    sql.categories('select * from test', 'name', {
+      limit: 2,
+      aggregation: 'sum',
+      aggregationColumn: 'amount'
+    }).then(function(categories) {
+      expect(queries[0]).toContain('SELECT "name" AS category, sum("amount")::float8 AS value');
+      expect(queries[0]).toContain('WHERE rank <= 2');
+      expect(categories.type).toEqual('aggregation');
+      expect(categories.categories_count).toEqual(3);
+      expect(categories.nulls).toEqual(1);
+      expect(categories.categories).toEqual([
+        { category: 'a', value: 10, agg: false },
+        { category: 'b', value: 7, agg: false },
+        { category: 'Other', value: 2, agg: true }
+      ]);
+      done();
+    });
+  });
+
+  it("should check the aggregations", function() {
+    expect(function() {
+      sql.categories('select * from test', 'name', { aggregation: 'median', aggregationColumn: 'amount' });
+    }).toThrow();
+    expect(function() {
+      sql.categories('select * from test', 'name', { aggregation: 'avg' });
+    }).toThrow();
+    expect(function() {
+      sql.timeSeries('select * from test', 'date', { interval: 'fortnight' });
+    }).toThrow();
+  });
+
+  it("should aggregate the time series", function(done) {
+    responses.push({ rows: [
+      { nulls: 0, timestamp: 1483228800000, value: 3, freq: 3 },
+      { nulls: 0, timestamp: 1485907200000, value: null, freq: 0 }
+    ]});
+    sql.timeSeries('select * from test', 'date', {
+      interval: 'month',
+      start: new Date(Date.UTC(2017, 0, 1))
+    }).then(function(series) {
+      expect(queries[0]).toContain("date_trunc('month', \"date\")");
+      expect(queries[0]).toContain("'1 month'::interval");
+      expect(queries[0]).toContain("'2017-01-01T00:00:00.000Z'::timestamptz");
+      expect(series.type).toEqual('time_series');
+      expect(series.bins[0].start.getTime()).toEqual(1483228800000);
+      expect(series.bins[1].value).toEqual(0);
+      expect(series.bins[1].freq).toEqual(0);
+      done();
+    });
+  });
+
+  it("should calculate formulas inside the bbox", function(done) {
+    responses.push({ rows: [{ result: 10.5, count: 100, nulls: 3 }] });
+    sql.formula('select * from test', 'price', 'avg', {
+      bbox: [-10, 30, 5, 45]
+    }).then(function(formula) {
+      expect(queries[0]).toContain('SELECT avg("price")::float8 AS result');
+      expect(queries[0]).toContain('FROM (SELECT * FROM (select * from test) _bbox WHERE "the_geom" && ST_MakeEnvelope(-10, 30, 5, 45, 4326)) _f');
+      expect(formula).toEqual({ type: 'formula', column: 'price', operation: 'avg', result: 10.5, count: 100, nulls: 3 });
+      done();
+    });
+  });
+
+});
+
+describe("sql postgres literals", function() {
+
+  it("should parse arrays", function() {
+    expect(cartodb.SQL.parseArray('{}')).toEqual([]);
+    expect(cartodb.SQL.parseArray('{1,-2.5,NULL,"NULL","a, \\"b\\"","c\\\\d"}')).toEqual(['1', '-2.5', null, 'NULL', 'a, "b"', 'c\\d']);
+    expect(cartodb.SQL.parseArray('{{1,2},{3,4}}')).toEqual([['1', '2'], ['3', '4']]);
+    expect(cartodb.SQL.parseArray('[0:1]={1,2}')).toEqual(['1', '2']);
+    expect(cartodb.SQL.parseArray([1, 2])).toEqual([1, 2]);
+  });
+
+  it("should parse records", function() {
+    expect(cartodb.SQL.parseRecord('(1,"a, b",)')).toEqual(['1', 'a, b', null]);
+    expect(cartodb.SQL.parseRecord('("",-3.25,"say ""hi""")')).toEqual(['', '-3.25', 'say "hi"']);
+    expect(cartodb.SQL.parseRecord('("(x,y)",2)')).toEqual(['(x,y)', '2']);
+  });
+
+  it("should parse the histograms of the descriptions", function(done) {
+    var sql = new cartodb.SQL({ user: 'manolo', protocol: 'https' });
+    var rows = [{
+      uniq: 3, cnt: 4, null_count: 1, null_ratio: 0.25, skew: 0.5,
+      array_agg: '{"(\\"Smith, John\\",2)","(\\"(paren\\",1)","(,1)"}'
+    }, {
+      hist: '{"(1,\\"[-10.5,-2.25]\\",3)","(2,empty,1)","(3,\\"[0.5,7]\\",2)"}',
+      cat_hist: '{"(-10.5,1)","(0.25,2)","(,1)"}',
+      min: -10.5, max: 7, avg: 0, cnt: 5, uniq: 4, null_ratio: 0, stddev: 1, stddevmean: 1
+    }];
+    sql.execute = function(query, callback) {
+      callback({ rows: [rows.shift()] });
+    };
+    sql.describeString('select * from test', 'name', function(description) {
+      expect(description.hist).toEqual([['Smith, John', 2], ['(paren', 1], [null, 1]]);
+      sql.describeFloat('select * from test', 'value', function(description) {
+        expect(description.hist).toEqual([
+          { index: 1, range: [-10.5, -2.25], freq: 3 },
+          { index: 3, range: [0.5, 7], freq: 2 }
+        ]);
+        expect(description.cat_hist).toEqual([[-10.5, 1], [0.25, 2], [null, 1]]);
+        done();
+      });
+    });
+  });
+
+});
@@ -0,0 +1,130 @@
+describe('sql.batch', function() {
+  var sql, batch, requests, responses;
+
+  beforeEach(function() {
+    requests = [];
+    responses = [];
+    sql = new cartodb.SQL({
+      user: 'rambo',
+      protocol: 'https',
+      api_key: 'key',
+      ajax: function(params) {
+        requests.push(params);
+        var resp = responses.shift();
+        _.defer(function() {
+          if (resp && resp.error) {
+            params.error({ status: 400, responseText: JSON.stringify(resp) });
+          } else {
+            params.success(resp, 200);
+          }
+        });
+      }
+    });
+    batch = sql.batch({ interval: 1, maxInterval: 5 });
+  });
+
+  it("should create single query jobs", function(done) {
+    responses.push({ job_id: 'a', status: 'pending', query: 'update test set a = 1' });
+    batch.create('update test set a = 1').then(function(job) {
+      expect(job.id).toEqual('a');
+      expect(job.status).toEqual('pending');
+      expect(requests[0].type).toEqual('POST');
+      expect(requests[0].url).toEqual('https://rambo.carto.com/api/v2/sql/job?api_key=key');
+      expect(JSON.parse(requests[0].data)).toEqual({ query: 'update test set a = 1' });
+      done();
+    });
+  });
+
+  it("should create multi query jobs with fallbacks", function(done) {
+    responses.push({ job_id: 'a', status: 'pending' });
+    batch.create(['create table a as select 1', { query: 'drop table b', onerror: 'select 1' }], {
+      onsuccess: 'select 2'
+    }).then(function() {
+      expect(JSON.parse(requests[0].data)).toEqual({
+        query: {
+          query: [
+            { query: 'create table a as select 1' },
+            { query: 'drop table b', onerror: 'select 1' }
+          ],
+          onsuccess: 'select 2'
+        }
+      });
+      done();
+    });
+  });
+
+  it("should poll until the job finishes and trigger progress", function(done) {
+    var statuses = [];
+    var progress = [];
+    responses.push(
+      { job_id: 'a', status: 'pending', query: { query: [{ query: 'q1', status: 'pending' }, { query: 'q2', status: 'pending' }] } },
+      { job_id: 'a', status: 'running', query: { query: [{ query: 'q1', status: 'done' }, { query: 'q2', status: 'running' }] } },
+      { job_id: 'a', status: 'running', query: { query: [{ query: 'q1', status: 'done' }, { query: 'q2', status: 'running' }] } },
+      { job_id: 'a', status: 'done', query: { query: [{ query: 'q1', status: 'done' }, { query: 'q2', status: 'done' }] } }
+    );
+    batch.create(['q1', 'q2']).then(function(job) {
+      job.on('status', function(status) { statuses.push(status); });
+      job.on('progress', function(done, total) { progress.push(done + '/' + total); });
+      return job.wait();
+    }).then(function(job) {
+      expect(job.status).toEqual('done');
+      expect(statuses).toEqual(['running', 'done']);
+      expect(progress).toEqual(['1/2', '2/2']);
+      expect(requests.length).toEqual(4);
+      expect(requests[1].url).toEqual('https://rambo.carto.com/api/v2/sql/job/a?api_key=key');
+      done();
+    });
+  });
+
+  it("should reject when the job fails", function(done) {
+    responses.push(
+      { job_id: 'a', status: 'pending' },
+      { job_id: 'a', status: 'failed', failed_reason: 'relation "test" does not exist' }
+    );
+    batch.run('update test set a = 1').then(null, function(err) {
+      expect(err.type).toEqual('batch');
+      expect(err.message).toEqual('relation "test" does not exist');
+      expect(err.job.id).toEqual('a');
+      done();
+    });
+  });
+
+  it("should cancel jobs", function(done) {
+    responses.push(
+      { job_id: 'a', status: 'running' },
+      { job_id: 'a', status: 'cancelled' }
+    );
+    batch.create('update test set a = 1').then(function(job) {
+      var waiting = job.wait();
+      return job.cancel().then(function() {
+        return waiting;
+      });
+    }).then(null, function(err) {
+      expect(err.type).toEqual('abort');
+      expect(requests[1].type).toEqual('DELETE');
+      expect(requests[1].url).toEqual('https://rambo.carto.com/api/v2/sql/job/a?api_key=key');
+      done();
+    });
+  });
+
+  it("should list the jobs", function(done) {
+    responses.push([{ job_id: 'a', status: 'done' }, { job_id: 'b', status: 'running' }]);
+    batch.list().then(function(jobs) {
+      expect(_.pluck(jobs, 'id')).toEqual(['a', 'b']);
+      expect(jobs[0].isFinished()).toEqual(true);
+      expect(jobs[1].isFinished()).toEqual(false);
+      done();
+    });
+  });
+
+  it("should reject with the errors of the API", function(done) {
+    responses.push({ error: ['permission denied'] });
+    batch.create('drop table test').then(null, function(err) {
+      expect(err.type).toEqual('batch');
+      expect(err.errors).toEqual(['permission denied']);
+      expect(err.status).toEqual(400);
+      done();
+    });
+  });
+
+});
@@ -0,0 +1,38 @@
+describe('cartodb.Tiles', function() {
+
+  it("should request the layergroup with the ajax option", function(done) {
+    var ajaxParams;
+    var ajax = function(params) {
+      ajaxParams = params;
+      params.success({
+        layergroupid: 'abc',
+        metadata: { layers: [{ type: 'mapnik' }] }
+      });
+    };
+    cartodb.Tiles.getTiles({
+      user_name: 'rambo',
+      maps_api_template: 'https://{user}.carto.com',
+      ajax: ajax,
+      sublayers: [{
+        sql: 'select * from test',
+        cartocss: '#layer { marker-fill: red; }'
+      }]
+    }, function(tiles) {
+      expect(ajaxParams.url).toContain('https://rambo.carto.com/api/v1/map');
+      expect(tiles.tiles).toEqual([
+        'https://rambo.carto.com/api/v1/map/abc/0/{z}/{x}/{y}.png?cache_policy=persist'
+      ]);
+      done();
+    });
+  });
+
+  it("should throw without sublayers or user_name", function() {
+    expect(function() {
+      new cartodb.Tiles({ user_name: 'rambo' });
+    }).toThrow();
+    expect(function() {
+      new cartodb.Tiles({ sublayers: [] });
+    }).toThrow();
+  });
+
+});
@@ -0,0 +1,52 @@
+describe("core.LRUCache", function() {
+
+  var cache;
+  beforeEach(function() {
+    cache = new cdb.core.LRUCache({ maxSize: 2 });
+  });
+
+  it("should store and return values", function() {
+    cache.set('a', 1);
+    expect(cache.get('a')).toEqual(1);
+    expect(cache.get('b')).toEqual(undefined);
+    expect(cache.size()).toEqual(1);
+  });
+
+  it("should evict the least recently used entry", function() {
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+    expect(cache.has('a')).toEqual(true);
+    expect(cache.has('b')).toEqual(false);
+    expect(cache.has('c')).toEqual(true);
+  });
+
+  it("should expire entries", function(done) {
+    cache = new cdb.core.LRUCache({ ttl: 1 });
+    cache.set('a', 1);
+    cache.set('b', 2, 0);
+    setTimeout(function() {
+      expect(cache.get('a')).toEqual(undefined);
+      expect(cache.get('b')).toEqual(2);
+      expect(cache.size()).toEqual(1);
+      done();
+    }, 10);
+  });
+
+  it("should remove entries", function() {
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.removeWhere(function(value) { return value === 2; });
+    expect(cache.has('b')).toEqual(false);
+    cache.remove('a');
+    expect(cache.size()).toEqual(0);
+  });
+
+  it("should not collide with object properties", function() {
+    expect(cache.get('constructor')).toEqual(undefined);
+    cache.set('__proto__', 1);
+    expect(cache.get('__proto__')).toEqual(1);
+  });
+
+});
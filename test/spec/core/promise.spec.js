@@ -0,0 +1,80 @@
+describe("core.Promise", function() {
+
+  var promise;
+  beforeEach(function() {
+    promise = new cdb.core.Promise();
+  });
+
+  it("should call done listeners with the event arguments", function(done) {
+    var args;
+    promise.done(function() {
+      args = Array.prototype.slice.call(arguments);
+    });
+    promise.resolve('data', ['data', 200]);
+    setTimeout(function() {
+      expect(args).toEqual(['data', 200]);
+      done();
+    }, 0);
+  });
+
+  it("should call listeners added once it's settled", function(done) {
+    var value;
+    promise.resolve('data');
+    promise.done(function(v) { value = v; });
+    setTimeout(function() {
+      expect(value).toEqual('data');
+      done();
+    }, 10);
+  });
+
+  it("should only settle once", function(done) {
+    var values = [];
+    promise.then(function(v) { values.push(v); }, function(e) { values.push(e); });
+    promise.resolve(1);
+    promise.resolve(2);
+    promise.reject(3);
+    setTimeout(function() {
+      expect(values).toEqual([1]);
+      done();
+    }, 10);
+  });
+
+  it("should chain then calls and adopt returned promises", function(done) {
+    promise.then(function(v) {
+      return cdb.core.Promise.resolve(v + 1);
+    }).then(function(v) {
+      expect(v).toEqual(2);
+      throw new Error('failed');
+    })['catch'](function(e) {
+      expect(e.message).toEqual('failed');
+      done();
+    });
+    promise.resolve(1);
+  });
+
+  it("should call error listeners and onRejected on reject", function(done) {
+    var errorArgs;
+    promise.error(function(errors) {
+      errorArgs = errors;
+    });
+    promise.then(null, function(err) {
+      expect(err instanceof cdb.core.APIError).toEqual(true);
+      expect(err.type).toEqual('sql');
+      expect(errorArgs).toEqual(['syntax error']);
+      done();
+    });
+    promise.reject(new cdb.core.APIError('syntax error', {
+      type: 'sql',
+      errors: ['syntax error']
+    }), [['syntax error']]);
+  });
+
+  it("should compose with all", function(done) {
+    cdb.core.Promise.all([1, cdb.core.Promise.resolve(2), promise]).then(function(values) {
+      expect(values).toEqual([1, 2, 3]);
+      done();
+    });
+    promise.resolve(3);
+  });
+
+});
@@ -0,0 +1,115 @@
+describe("core.RetryPolicy", function() {
+
+  function response(status, retryAfter) {
+    return {
+      status: status,
+      getResponseHeader: function(name) {
+        return name === 'Retry-After' ? retryAfter : null;
+      }
+    };
+  }
+
+  it("should retry the retryable statuses until the max attempts", function() {
+    var retry = new cdb.core.RetryPolicy({ attempts: 2 });
+    expect(retry.shouldRetry(0, response(429))).toEqual(true);
+    expect(retry.shouldRetry(1, response(503))).toEqual(true);
+    expect(retry.shouldRetry(2, response(503))).toEqual(false);
+    expect(retry.shouldRetry(0, response(400))).toEqual(false);
+    expect(retry.shouldRetry(0, response(0))).toEqual(false);
+  });
+
+  it("should grow the delay exponentially", function() {
+    var retry = new cdb.core.RetryPolicy({ delay: 100, factor: 2, jitter: 0, maxDelay: 500 });
+    expect(retry.delay(0, response(503))).toEqual(100);
+    expect(retry.delay(1, response(503))).toEqual(200);
+    expect(retry.delay(2, response(503))).toEqual(400);
+    expect(retry.delay(3, response(503))).toEqual(500);
+  });
+
+  it("should add jitter to the delay", function() {
+    var retry = new cdb.core.RetryPolicy({ delay: 100, jitter: 0.5 });
+    for (var i = 0; i < 10; ++i) {
+      var delay = retry.delay(0, response(503));
+      expect(delay >= 50 && delay <= 100).toEqual(true);
+    }
+  });
+
+  it("should use Retry-After", function() {
+    var retry = new cdb.core.RetryPolicy({ maxDelay: 10000 });
+    expect(retry.delay(0, response(429, '3'))).toEqual(3000);
+    expect(retry.delay(0, response(429, '60'))).toEqual(10000);
+    var date = new Date(new Date().getTime() + 5000).toUTCString();
+    var delay = retry.delay(0, response(429, date));
+    expect(delay > 3000 && delay <= 5000).toEqual(true);
+  });
+
+  it("should share policies", function() {
+    var retry = new cdb.core.RetryPolicy();
+    expect(cdb.core.RetryPolicy.create(retry)).toBe(retry);
+    expect(cdb.core.RetryPolicy.create(false)).toEqual(null);
+    expect(cdb.core.RetryPolicy.create(true).options.attempts).toEqual(3);
+  });
+
+  describe("wrap", function() {
+    var retry, calls, statuses;
+
+    beforeEach(function() {
+      calls = 0;
+      retry = new cdb.core.RetryPolicy({ delay: 1, jitter: 0 });
+    });
+
+    function ajax(params) {
+      var status = statuses[calls++];
+      setTimeout(function() {
+        if (status === 200) {
+          params.success({});
+        } else {
+          params.error(response(status));
+        }
+      }, 0);
+      return { abort: function() {} };
+    }
+
+    it("should retry failed requests and trigger retry", function(done) {
+      statuses = [503, 429, 200];
+      var retries = [];
+      retry.on('retry', function(attempt, delay, xhr) {
+        retries.push(attempt + ':' + xhr.status);
+      });
+      retry.wrap(ajax)({
+        success: function() {
+          expect(calls).toEqual(3);
+          expect(retries).toEqual(['1:503', '2:429']);
+          done();
+        }
+      });
+    });
+
+    it("should call error when the request can't be retried", function(done) {
+      statuses = [503, 400];
+      var onRetry = jasmine.createSpy('onRetry');
+      retry.wrap(ajax, onRetry)({
+        error: function(xhr) {
+          expect(xhr.status).toEqual(400);
+          expect(calls).toEqual(2);
+          expect(onRetry.calls.count()).toEqual(1);
+          done();
+        }
+      });
+    });
+
+    it("should not retry aborted requests", function(done) {
+      statuses = [503, 200];
+      var request = retry.wrap(ajax)({
+        success: function() {}
+      });
+      request.abort();
+      setTimeout(function() {
+        expect(calls).toEqual(1);
+        done();
+      }, 20);
+    });
+
+  });
+
+});
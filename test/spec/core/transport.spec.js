@@ -0,0 +1,168 @@
+describe("core.Transport", function() {
+  var requests, responses;
+
+  function fetch(url, init) {
+    requests.push({ url: url, init: init });
+    var resp = responses.shift();
+    if (!resp) {
+      // never answers
+      return new cdb.core.Promise();
+    }
+    return cdb.core.Promise.resolve({
+      status: resp.status || 200,
+      statusText: resp.statusText || 'OK',
+      headers: {
+        get: function(name) {
+          return (resp.headers || {})[name];
+        }
+      },
+      text: function() {
+        return cdb.core.Promise.resolve(resp.text);
+      },
+      arrayBuffer: function() {
+        return cdb.core.Promise.resolve(resp.buffer);
+      }
+    });
+  }
+
+  beforeEach(function() {
+    requests = [];
+    responses = [];
+  });
+
+  it("should send the requests with fetch", function(done) {
+    var transport = new cdb.core.Transport({
+      fetch: fetch,
+      headers: { 'X-Client': 'test' },
+      credentials: 'include'
+    });
+    responses.push({ text: '{"layergroupid":"abc"}' });
+    transport.request({
+      url: 'https://rambo.carto.com/api/v1/map?stat_tag=a',
+      dataType: 'jsonp',
+      data: { config: '{}' },
+      headers: { 'Authorization': 'Bearer token' },
+      success: function(data, status, xhr) {
+        expect(data).toEqual({ layergroupid: 'abc' });
+        expect(xhr.status).toEqual(200);
+        expect(requests[0].url).toEqual('https://rambo.carto.com/api/v1/map?stat_tag=a&config=%7B%7D');
+        expect(requests[0].init.method).toEqual('GET');
+        expect(requests[0].init.credentials).toEqual('include');
+        expect(requests[0].init.headers).toEqual({ 'X-Client': 'test', 'Authorization': 'Bearer token' });
+        done();
+      }
+    });
+  });
+
+  it("should read the body as an ArrayBuffer with the arraybuffer dataType", function(done) {
+    var transport = new cdb.core.Transport({ fetch: fetch });
+    var buffer = new ArrayBuffer(4);
+    responses.push({ buffer: buffer }, { status: 500, text: '{"errors":["tile error"]}' });
+    transport.request({
+      url: 'https://rambo.carto.com/api/v1/map/abc/0/0/0/0.mvt',
+      dataType: 'arraybuffer',
+      success: function(data, status, xhr) {
+        expect(data).toBe(buffer);
+        expect(xhr.response).toBe(buffer);
+        transport.request({
+          url: 'https://rambo.carto.com/api/v1/map/abc/0/0/0/1.mvt',
+          dataType: 'arraybuffer',
+          error: function(xhr) {
+            expect(xhr.status).toEqual(500);
+            expect(xhr.responseText).toEqual('{"errors":["tile error"]}');
+            done();
+          }
+        });
+      }
+    });
+  });
+
+  it("should send the data in the body of POST requests", function(done) {
+    var transport = new cdb.core.Transport({ fetch: fetch });
+    responses.push({ text: '{}' });
+    transport.ajax()({
+      url: 'https://rambo.carto.com/api/v1/map',
+      type: 'POST',
+      dataType: 'json',
+      contentType: 'application/json',
+      data: '{"layers":[]}',
+      success: function() {
+        expect(requests[0].init.method).toEqual('POST');
+        expect(requests[0].init.body).toEqual('{"layers":[]}');
+        expect(requests[0].init.headers['Content-Type']).toEqual('application/json');
+        done();
+      }
+    });
+  });
+
+  it("should call the hooks", function(done) {
+    var transport = new cdb.core.Transport({
+      fetch: fetch,
+      beforeRequest: function(request) {
+        request.url += '&client=test';
+        request.headers['X-Token'] = 'token';
+      },
+      afterResponse: function(response, request) {
+        response.data.url = request.url;
+      }
+    });
+    responses.push({ text: '{"a":1}' });
+    transport.request({
+      url: 'https://rambo.carto.com/api/v1/map?a=1',
+      dataType: 'json',
+      success: function(data) {
+        expect(requests[0].url).toEqual('https://rambo.carto.com/api/v1/map?a=1&client=test');
+        expect(requests[0].init.headers['X-Token']).toEqual('token');
+        expect(data).toEqual({ a: 1, url: 'https://rambo.carto.com/api/v1/map?a=1&client=test' });
+        done();
+      }
+    });
+  });
+
+  it("should call error with the failed responses", function(done) {
+    var transport = new cdb.core.Transport({ fetch: fetch });
+    responses.push({ status: 429, statusText: 'Too Many Requests', text: '{"errors":["limit"]}', headers: { 'Retry-After': '2' } });
+    transport.request({
+      url: 'https://rambo.carto.com/api/v1/map',
+      dataType: 'json',
+      error: function(xhr) {
+        expect(xhr.status).toEqual(429);
+        expect(xhr.responseText).toEqual('{"errors":["limit"]}');
+        expect(xhr.getResponseHeader('Retry-After')).toEqual('2');
+        done();
+      }
+    });
+  });
+
+  it("should time out", function(done) {
+    var transport = new cdb.core.Transport({ fetch: fetch, timeout: 100 });
+    transport.request({
+      url: 'https://rambo.carto.com/api/v1/map',
+      timeout: 5,
+      error: function(xhr, status) {
+        expect(xhr.status).toEqual(0);
+        expect(status).toEqual('timeout');
+        done();
+      }
+    });
+  });
+
+  it("should abort the requests", function() {
+    var transport = new cdb.core.Transport({ fetch: fetch });
+    var error = jasmine.createSpy('error');
+    transport.request({
+      url: 'https://rambo.carto.com/api/v1/map',
+      error: error
+    }).abort();
+    expect(error).toHaveBeenCalled();
+    expect(error.calls.mostRecent().args[1]).toEqual('abort');
+  });
+
+  it("should create transports from the options", function() {
+    var transport = new cdb.core.Transport({ fetch: fetch });
+    expect(cdb.core.Transport.create(transport)).toBe(transport);
+    expect(cdb.core.Transport.create(false)).toEqual(null);
+    expect(cdb.core.Transport.create({ fetch: fetch, timeout: 10 }).options.timeout).toEqual(10);
+  });
+
+});
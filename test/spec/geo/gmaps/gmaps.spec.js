@@ -149,6 +149,28 @@
       expect(cdb.geo.GMapsCartoDBLayerGroupView.prototype.isPrototypeOf(layerView)).toBeTruthy();
     });
 
+    it("should stop the live checks when the CartoDBGroupLayer is removed", function() {
+      layer = new cdb.geo.CartoDBGroupLayer({
+        live: true,
+        layer_definition: {
+          version: '1.0.0',
+          layers: [{
+             type: 'cartodb',
+             options: {
+               sql: "select * from european_countries_export",
+               cartocss: '#layer { polygon-fill: #000; }',
+               cartocss_version : '2.0.0'
+             }
+           }]
+        }
+      });
+      var layerView = mapView.getLayerByCid(map.addLayer(layer));
+      spyOn(layerView, '_stopLive').and.callThrough();
+      map.removeLayer(layer);
+      expect(layerView._stopLive).toHaveBeenCalled();
+      expect(layerView._liveTimer).toEqual(-1);
+    });
+
     it("should create a cartodb logo when layer is cartodb", function(done) {
       layer = new cdb.geo.CartoDBLayer({ table_name: "INVENTADO", tile_style: 'test', user_name: 'test'});
       var lyr = map.addLayer(layer);
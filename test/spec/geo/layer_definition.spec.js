@@ -1,3 +1,77 @@
+describe('MapBase.parseError', function() {
+
+  it('should parse the errors with context', function() {
+    var err = MapBase.parseError({
+      errors: ['relation "wadus" does not exist', 'You are over platform\'s limits'],
+      errors_with_context: [{
+        type: 'layer',
+        subtype: 'query',
+        message: 'relation "wadus" does not exist',
+        layer: { id: 'layer1', index: 1, type: 'mapnik' }
+      }, {
+        type: 'limit',
+        subtype: 'render',
+        message: 'You are over platform\'s limits'
+      }]
+    });
+
+    expect(err instanceof cdb.core.APIError).toEqual(true);
+    expect(err.type).toEqual('sql');
+    expect(err.message).toEqual('relation "wadus" does not exist\nYou are over platform\'s limits');
+    expect(err.details.length).toEqual(2);
+    expect(err.details[0].type).toEqual('sql');
+    expect(err.details[0].index).toEqual(1);
+    expect(err.details[1].type).toEqual('limit');
+    expect(err.details[1].index).toEqual(null);
+  });
+
+  it('should guess the type and the layer of the errors without context', function() {
+    var err = MapBase.parseError({
+      errors: [
+        'style1: 3:14 Invalid code: [marker-width = 10;',
+        'Postgis Plugin: ERROR:  syntax error at or near "form"',
+        'permission denied for relation wadus'
+      ]
+    });
+
+    expect(_.pluck(err.details, 'type')).toEqual(['cartocss', 'sql', 'auth']);
+    expect(err.details[0].index).toEqual(1);
+    expect(err.details[0].line).toEqual(3);
+    expect(err.details[0].column).toEqual(14);
+    expect(err.details[1].line).toEqual(null);
+  });
+
+  it('should use the CartoCSS position of the context', function() {
+    var err = MapBase.parseError({
+      errors_with_context: [{
+        type: 'layer',
+        subtype: 'turbo-carto',
+        message: 'turbo-carto: unable to compute ramp',
+        layer: { index: 0 },
+        source: { start: { line: 4, column: 2 }, end: { line: 4, column: 30 } }
+      }]
+    });
+
+    expect(err.errors).toEqual(['turbo-carto: unable to compute ramp']);
+    expect(err.details[0].type).toEqual('cartocss');
+    expect(err.details[0].line).toEqual(4);
+    expect(err.details[0].column).toEqual(2);
+  });
+
+  it('should use the status of the response', function() {
+    expect(MapBase.parseError({ errors: ['wadus'] }, 403).type).toEqual('auth');
+    expect(MapBase.parseError({ errors: ['wadus'] }, 429).type).toEqual('limit');
+  });
+
+  it('should accept messages and APIErrors', function() {
+    var err = MapBase.parseError('tile timeout');
+    expect(err.errors).toEqual(['tile timeout']);
+    expect(err.type).toEqual('limit');
+    expect(MapBase.parseError(err)).toBe(err);
+    expect(MapBase.parseError().errors).toEqual(['unknown error']);
+  });
+});
+
 describe('MapProperties', function() {
 
   describe('.getMapId', function() {
@@ -521,6 +595,150 @@ describe("LayerDefinition", function() {
       }, 4);
     });
 
+    it("should abort the request in progress when a new one is sent", function() {
+      var requests = [];
+      var tokens = [];
+      layerDefinition.options.ajax = function(p) {
+        var request = { params: p, abort: jasmine.createSpy('abort') };
+        requests.push(request);
+        return request;
+      };
+
+      layerDefinition.createMap(function(a) {
+        tokens.push(a);
+      });
+      layerDefinition.createMap(function(a) {
+        tokens.push(a);
+      });
+
+      expect(requests.length).toEqual(2);
+      expect(requests[0].abort).toHaveBeenCalled();
+      expect(requests[1].abort).not.toHaveBeenCalled();
+
+      // the response of the aborted request is discarded
+      requests[0].params.success({ layergroupid: 'layergroup_1' });
+      expect(tokens.length).toEqual(0);
+
+      requests[1].params.success({ layergroupid: 'layergroup_2' });
+      expect(tokens).toEqual([{ layergroupid: 'layergroup_2' }, { layergroupid: 'layergroup_2' }]);
+    });
+
+    it("should retry failed requests when retry is enabled", function() {
+      var statuses = [503, 200];
+      var retries = [];
+      layerDefinition.options.retry = { delay: 1, jitter: 0 };
+      layerDefinition.trigger = function(name, attempt, delay, xhr) {
+        retries.push(name + ':' + attempt + ':' + xhr.status);
+      };
+      layerDefinition.options.ajax = function(p) {
+        var status = statuses.shift();
+        if (status === 200) {
+          p.success({ layergroupid: 'layergroup_1' });
+        } else {
+          p.error({ status: status, responseText: '{"errors":["unavailable"]}' });
+        }
+      };
+
+      layerDefinition.createMap(callback);
+
+      expect(retries).toEqual(['retry:1:503']);
+      expect(callback).toHaveBeenCalledWith({ layergroupid: 'layergroup_1' }, undefined);
+    });
+
+    describe('transport', function() {
+      var transportParams;
+
+      beforeEach(function() {
+        transportParams = undefined;
+        delete layerDefinition.options.ajax;
+        layerDefinition.options.transport = new cdb.core.Transport();
+        spyOn(layerDefinition.options.transport, 'request').and.callFake(function(params) {
+          transportParams = params;
+          params.success({ layergroupid: 'layergroup_1' });
+        });
+      });
+
+      it("should send the requests with the transport", function() {
+        layerDefinition.createMap(callback);
+
+        expect(transportParams.url).toContain('/api/v1/map');
+        expect(callback).toHaveBeenCalledWith({ layergroupid: 'layergroup_1' }, undefined);
+      });
+
+      it("should use POST for named maps since the GET endpoint is JSONP", function() {
+        layerDefinition.options.cors = true;
+        layerDefinition.JSONPendPoint = '/api/v1/map/named/test/jsonp';
+
+        layerDefinition.createMap(callback);
+
+        expect(transportParams.type).toEqual('POST');
+      });
+
+      it("should use the ajax option instead of the transport", function() {
+        layerDefinition.options.ajax = ajax;
+
+        layerDefinition.createMap(callback);
+
+        expect(transportParams).toBeUndefined();
+        expect(ajaxParams).toBeDefined();
+      });
+    });
+
+    describe('without transport', function() {
+      var requests, originalFetch;
+
+      beforeEach(function() {
+        requests = [];
+        originalFetch = jasmine.getGlobal().fetch;
+        jasmine.getGlobal().fetch = jasmine.createSpy('fetch');
+        spyOn($, 'ajax').and.callFake(function(params) {
+          requests.push(params);
+          params.success({ layergroupid: 'layergroup_1' });
+        });
+      });
+
+      afterEach(function() {
+        jasmine.getGlobal().fetch = originalFetch;
+      });
+
+      it("should send a JSONP GET request of the layergroup with jQuery", function() {
+        delete layerDefinition.options.ajax;
+        layerDefinition.options.cors = true;
+
+        layerDefinition.createMap(callback);
+
+        expect(jasmine.getGlobal().fetch).not.toHaveBeenCalled();
+        expect(requests.length).toEqual(1);
+        expect(requests[0].url.indexOf('http://rambo.carto.com:8081/api/v1/map?stat_tag=vis_id&config=')).toEqual(0);
+        expect(requests[0].type).toBeUndefined();
+        expect(requests[0].dataType).toEqual('jsonp');
+        expect(requests[0].headers).toBeUndefined();
+        expect(callback).toHaveBeenCalledWith({ layergroupid: 'layergroup_1' }, undefined);
+      });
+
+      it("should send a JSONP GET request to instantiate a named map with jQuery", function() {
+        var namedMap = new NamedMap({ name: 'testing', stat_tag: 'vis_id', layers: [] }, {
+          tiler_domain: "carto.com",
+          tiler_port: "8081",
+          tiler_protocol: "http",
+          user_name: 'rambo',
+          no_cdn: true,
+          cors: true,
+          subdomains: [null]
+        });
+
+        namedMap.createMap(callback);
+
+        expect(jasmine.getGlobal().fetch).not.toHaveBeenCalled();
+        expect(requests.length).toEqual(1);
+        expect(requests[0].url.indexOf('http://rambo.carto.com:8081/api/v1/map/named/testing/jsonp?stat_tag=vis_id&config=')).toEqual(0);
+        expect(requests[0].type).toBeUndefined();
+        expect(requests[0].dataType).toEqual('jsonp');
+        expect(requests[0].headers).toBeUndefined();
+        expect(callback).toHaveBeenCalledWith({ layergroupid: 'layergroup_1' }, undefined);
+      });
+    });
+
     it('should not create a map if there are no visible layers', function() {
       for (var i=0; i<layerDefinition.getLayerCount(); i++) {
         layerDefinition.getSubLayer(i).hide();
@@ -1124,6 +1342,27 @@ describe("LayerDefinition", function() {
       });
     });
 
+    it("should return the vector tile templates with the mvt option", function() {
+      mapProperties = {
+        "layergroupid": "layergroupid",
+        "metadata": {
+          "layers": [
+            { "type": "mapnik", "meta": {} },
+            { "type": "mapnik", "meta": {} }
+          ]
+        }
+      }
+      layerDefinition.options.mvt = true;
+      layerDefinition.options.extra_params = { api_key: 'key' };
+
+      layerDefinition.getTiles(callback);
+
+      expect(callback.calls.mostRecent().args[0].mvt).toEqual([
+        [ "http://rambo.carto.com:8081/api/v1/map/layergroupid/0/{z}/{x}/{y}.mvt?api_key=key" ],
+        [ "http://rambo.carto.com:8081/api/v1/map/layergroupid/1/{z}/{x}/{y}.mvt?api_key=key" ]
+      ]);
+    });
+
     it("should cache the mapProperties", function() {
       mapProperties = {
         layergroupid: 'test',
@@ -1166,6 +1405,51 @@ describe("LayerDefinition", function() {
       expect(urls.tiles[0]).toEqual(MapBase.EMPTY_GIF);
       expect(urls.grids[0]).toBeUndefined();
     });
+
+    it("should parse the errors and map them to the sublayers", function() {
+      var err, sublayerError;
+      layerDefinition.getSubLayer(0).hide();
+      layerDefinition.getSubLayer(1).bind('error', function(e) {
+        sublayerError = e;
+      });
+      layerDefinition.createMap = function (callback) {
+        callback(null, {
+          errors: ['style0: 2:3 Unrecognized rule: polygon-fil'],
+          errors_with_context: [{
+            type: 'layer',
+            message: 'style0: 2:3 Unrecognized rule: polygon-fil',
+            layer: { id: 'layer0', index: 0, type: 'cartodb' }
+          }]
+        });
+      }
+
+      layerDefinition.getTiles(function(t, e) {
+        err = e;
+      });
+
+      expect(err instanceof cdb.core.APIError).toEqual(true);
+      expect(err.type).toEqual('cartocss');
+      expect(err.errors).toEqual(['style0: 2:3 Unrecognized rule: polygon-fil']);
+      expect(err.details[0].index).toEqual(0);
+      expect(err.details[0].sublayer).toEqual(1);
+      expect(err.details[0].line).toEqual(2);
+      expect(err.details[0].column).toEqual(3);
+      expect(sublayerError).toBe(err.details[0]);
+    });
+
+    it("should not map errors without layer to a sublayer", function() {
+      var err;
+      layerDefinition.createMap = function (callback) {
+        callback(null, { errors: ['connection error'] });
+      }
+
+      layerDefinition.getTiles(function(t, e) {
+        err = e;
+      });
+
+      expect(err.type).toEqual('unknown');
+      expect(err.details[0].sublayer).toEqual(null);
+    });
   });
 
   describe('.fetchAttributes', function() {
@@ -1234,6 +1518,9 @@ describe("LayerDefinition", function() {
 
       expect(actualUrl).toEqual(expectedUrl);
 
+      // the attributes are requested one at a time
+      ajax.calls.mostRecent().args[0].success({});
+
       // Fetch attributes for layer 1 (which is layer 3 in the tiler)
       layerDefinition.fetchAttributes(1, 'feature_id', 2, callback);
 
@@ -1308,6 +1595,167 @@ describe("LayerDefinition", function() {
 
       expect(actualUrl).toEqual(expectedUrl);
     })
+
+    describe('cache', function() {
+
+      beforeEach(function() {
+        mapProperties = {
+          "layergroupid": "layergroupid",
+          "metadata": {
+            "layers": [
+              { "type": "mapnik", "meta": {} },
+              { "type": "mapnik", "meta": {} }
+            ]
+          }
+        };
+        layerDefinition.getTiles();
+      });
+
+      it('should not request the same feature twice', function(done) {
+        layerDefinition.fetchAttributes(0, 1, 2, callback);
+        ajax.calls.mostRecent().args[0].success({ name: 'wadus' });
+        expect(layerDefinition.getCachedAttributes(0, 1)).toEqual({ name: 'wadus' });
+
+        layerDefinition.fetchAttributes(0, 1, 2, function(attributes) {
+          expect(attributes).toEqual({ name: 'wadus' });
+          expect(ajax.calls.count()).toEqual(1);
+
+          layerDefinition.fetchAttributes(1, 1, 2, callback);
+          expect(ajax.calls.count()).toEqual(2);
+          done();
+        });
+      });
+
+      it('should invoke the callback asynchronously with the cached attributes', function(done) {
+        layerDefinition.fetchAttributes(0, 1, 2, callback);
+        ajax.calls.mostRecent().args[0].success({ name: 'wadus' });
+
+        var cached = jasmine.createSpy('cached');
+        layerDefinition.fetchAttributes(0, 1, 2, cached);
+        expect(cached).not.toHaveBeenCalled();
+        setTimeout(function() {
+          expect(cached).toHaveBeenCalledWith({ name: 'wadus' });
+          done();
+        }, 0);
+      });
+
+      it('should not cache the errors', function() {
+        layerDefinition.fetchAttributes(0, 1, 2, callback);
+        ajax.calls.mostRecent().args[0].error();
+        expect(callback).toHaveBeenCalledWith(null);
+        expect(layerDefinition.getCachedAttributes(0, 1)).toBeUndefined();
+      });
+
+      it('should merge the requests for the same feature', function() {
+        var other = jasmine.createSpy('other');
+        layerDefinition.fetchAttributes(0, 1, 2, callback);
+        layerDefinition.fetchAttributes(0, 1, 2, other);
+        expect(ajax.calls.count()).toEqual(1);
+        ajax.calls.mostRecent().args[0].success({ name: 'wadus' });
+        expect(callback).toHaveBeenCalledWith({ name: 'wadus' });
+        expect(other).toHaveBeenCalledWith({ name: 'wadus' });
+      });
+
+      it('should request one feature at a time', function() {
+        var other = jasmine.createSpy('other');
+        layerDefinition.fetchAttributes(0, 1, 2, callback);
+        layerDefinition.fetchAttributes(0, 2, 2, other);
+        expect(ajax.calls.count()).toEqual(1);
+
+        ajax.calls.mostRecent().args[0].success({ name: 'one' });
+        expect(ajax.calls.count()).toEqual(2);
+        expect(ajax.calls.mostRecent().args[0].url).toEqual('http://rambo.carto.com:8081/api/v1/map/layergroupid/0/attributes/2');
+        ajax.calls.mostRecent().args[0].success({ name: 'two' });
+        expect(callback).toHaveBeenCalledWith({ name: 'one' });
+        expect(other).toHaveBeenCalledWith({ name: 'two' });
+      });
+
+      it('should forget the attributes when the layergroup changes', function() {
+        layerDefinition.fetchAttributes(0, 1, 2, callback);
+        ajax.calls.mostRecent().args[0].success({ name: 'wadus' });
+
+        mapProperties = _.extend({}, mapProperties, { layergroupid: 'other' });
+        layerDefinition.invalidate();
+        layerDefinition.getTiles();
+
+        expect(layerDefinition.getCachedAttributes(0, 1)).toBeUndefined();
+        expect(layerDefinition._attributesCache.size()).toEqual(0);
+        layerDefinition.fetchAttributes(0, 1, 2, callback);
+        expect(ajax.calls.mostRecent().args[0].url).toEqual('http://rambo.carto.com:8081/api/v1/map/other/0/attributes/1');
+      });
+
+      it('should not cache the attributes with attributesCache false', function() {
+        layerDefinition.options.attributesCache = false;
+        layerDefinition.fetchAttributes(0, 1, 2, callback);
+        ajax.calls.mostRecent().args[0].success({ name: 'wadus' });
+        layerDefinition.fetchAttributes(0, 1, 2, callback);
+        expect(ajax.calls.count()).toEqual(2);
+
+        layerDefinition.prefetchAttributes(0, 2);
+        expect(ajax.calls.count()).toEqual(2);
+      });
+
+      describe('.prefetchAttributes', function() {
+
+        it('should fetch the attributes into the cache', function() {
+          layerDefinition.prefetchAttributes(0, 1);
+          ajax.calls.mostRecent().args[0].success({ name: 'wadus' });
+          layerDefinition.prefetchAttributes(0, 1);
+          expect(ajax.calls.count()).toEqual(1);
+          expect(layerDefinition.getCachedAttributes(0, 1)).toEqual({ name: 'wadus' });
+        });
+
+        it('should only keep the last prefetch waiting', function() {
+          layerDefinition.prefetchAttributes(0, 1);
+          layerDefinition.prefetchAttributes(0, 2);
+          layerDefinition.prefetchAttributes(0, 3);
+          expect(ajax.calls.count()).toEqual(1);
+          ajax.calls.mostRecent().args[0].success({});
+          expect(ajax.calls.count()).toEqual(2);
+          expect(ajax.calls.mostRecent().args[0].url).toEqual('http://rambo.carto.com:8081/api/v1/map/layergroupid/0/attributes/3');
+        });
+
+        it('should not make the clicked features wait for the prefetches', function() {
+          layerDefinition.prefetchAttributes(0, 1);
+          layerDefinition.fetchAttributes(0, 2, 2, callback);
+          expect(ajax.calls.count()).toEqual(2);
+          var prefetch = ajax.calls.argsFor(0)[0];
+          var click = ajax.calls.argsFor(1)[0];
+          expect(click.url).toEqual('http://rambo.carto.com:8081/api/v1/map/layergroupid/0/attributes/2');
+          // they can be loaded at the same time, the JSONP callbacks are different
+          expect(click.jsonpCallback).not.toEqual(prefetch.jsonpCallback);
+          click.success({ name: 'two' });
+          expect(callback).toHaveBeenCalledWith({ name: 'two' });
+        });
+
+        it('should request a clicked feature waiting to be prefetched right away', function() {
+          layerDefinition.prefetchAttributes(0, 1);
+          layerDefinition.prefetchAttributes(0, 2);
+          layerDefinition.fetchAttributes(0, 2, 2, callback);
+          expect(ajax.calls.count()).toEqual(2);
+          ajax.calls.mostRecent().args[0].success({ name: 'two' });
+          expect(callback).toHaveBeenCalledWith({ name: 'two' });
+
+          // the prefetch was moved, there is nothing else to request
+          ajax.calls.argsFor(0)[0].success({ name: 'one' });
+          expect(ajax.calls.count()).toEqual(2);
+        });
+
+        it('should wait for the feature being prefetched when it is clicked', function() {
+          layerDefinition.prefetchAttributes(0, 1);
+          layerDefinition.fetchAttributes(0, 1, 2, callback);
+          expect(ajax.calls.count()).toEqual(1);
+          ajax.calls.mostRecent().args[0].success({ name: 'one' });
+          expect(callback).toHaveBeenCalledWith({ name: 'one' });
+        });
+
+        it('should do nothing before the layergroup is instantiated', function() {
+          layerDefinition.invalidate();
+          layerDefinition.prefetchAttributes(0, 1);
+          expect(ajax).not.toHaveBeenCalled();
+        });
+      });
+    });
   })
 
   describe('._buildMapsApiTemplate, ._host', function() {
@@ -1390,6 +1838,349 @@ describe("LayerDefinition", function() {
     })
   });
 
+  describe('layergroup cache', function() {
+    var requests, originalSetTimeout;
+
+    beforeEach(function() {
+      requests = 0;
+      layerDefinition.options.ajax = function(params) {
+        params.success({ layergroupid: 'layergroup_' + ++requests, metadata: { layers: [] } });
+      };
+      originalSetTimeout = jasmine.getGlobal().setTimeout;
+      jasmine.getGlobal().setTimeout = function (func, millis) {
+        func();
+      };
+    });
+
+    afterEach(function() {
+      jasmine.getGlobal().setTimeout = originalSetTimeout;
+    });
+
+    function layergroupId() {
+      var id;
+      layerDefinition.getTiles(function() {
+        id = layerDefinition.mapProperties.getMapId();
+      });
+      return id;
+    }
+
+    it('should reuse the layergroup when the definition changes back', function() {
+      expect(layergroupId()).toEqual('layergroup_1');
+
+      layerDefinition.getSubLayer(1).hide();
+      expect(layergroupId()).toEqual('layergroup_2');
+
+      layerDefinition.getSubLayer(1).show();
+      expect(layergroupId()).toEqual('layergroup_1');
+      expect(requests).toEqual(2);
+
+      layerDefinition.getSubLayer(1).hide();
+      expect(layergroupId()).toEqual('layergroup_2');
+      expect(requests).toEqual(2);
+    });
+
+    it('should finish the request when the layergroup is cached', function() {
+      layergroupId();
+      layerDefinition.getSubLayer(1).hide();
+      layergroupId();
+      layerDefinition.getSubLayer(1).show();
+      layerDefinition.lastTimeUpdated = null;
+      spyOn(layerDefinition, '_requestFinished').and.callThrough();
+      expect(layergroupId()).toEqual('layergroup_1');
+      expect(layerDefinition._requestFinished).toHaveBeenCalled();
+      expect(layerDefinition.lastTimeUpdated).not.toEqual(null);
+    });
+
+    it('should instantiate the layergroup again when the definition is the same', function() {
+      expect(layergroupId()).toEqual('layergroup_1');
+      layerDefinition.invalidate();
+      expect(layergroupId()).toEqual('layergroup_2');
+    });
+
+    it('should not reuse layergroups of another definition', function() {
+      layergroupId();
+      layerDefinition.getSubLayer(0).setSQL('select * from wadus');
+      expect(layergroupId()).toEqual('layergroup_2');
+      layerDefinition.getSubLayer(0).setSQL('select * from ne_10m_populated_places_simple');
+      expect(layergroupId()).toEqual('layergroup_1');
+      layerDefinition.options.extra_params = { auth_token: 'token' };
+      layerDefinition.invalidate();
+      expect(layergroupId()).toEqual('layergroup_3');
+    });
+
+    it('should be disabled with the layergroupCache option', function() {
+      layerDefinition.options.layergroupCache = false;
+      layergroupId();
+      layerDefinition.getSubLayer(1).hide();
+      layergroupId();
+      layerDefinition.getSubLayer(1).show();
+      expect(layergroupId()).toEqual('layergroup_3');
+    });
+
+    it('should use the cache passed in the options', function() {
+      var cache = new cdb.core.LRUCache({ maxSize: 1 });
+      layerDefinition.options.layergroupCache = cache;
+      layergroupId();
+      expect(cache.size()).toEqual(1);
+      layerDefinition.getSubLayer(1).hide();
+      layergroupId();
+      layerDefinition.getSubLayer(1).show();
+      expect(cache.size()).toEqual(1);
+      expect(layergroupId()).toEqual('layergroup_3');
+    });
+  });
+
+  describe('live', function() {
+    var queries, responses;
+
+    beforeEach(function() {
+      queries = [];
+      responses = [];
+      layerDefinition.options.sqlClient = {
+        execute: function(sql, vars, options) {
+          queries.push({ sql: sql, vars: vars, options: options });
+          var promise = new cartodb.core.Promise();
+          var resp = responses.shift();
+          resp ? promise.resolve({ rows: resp }) : promise.reject(new cartodb.core.APIError('error'));
+          return promise;
+        }
+      };
+      layerDefinition.options.live = { interval: 1000 };
+      layerDefinition.mapProperties = new MapProperties({ layergroupid: 'layergroupid', metadata: { layers: [] } });
+      spyOn(layerDefinition, 'invalidate');
+    });
+
+    afterEach(function() {
+      layerDefinition._stopLive();
+    });
+
+    it('should check the tables of the visible sublayers', function() {
+      layerDefinition.getSubLayer(1).hide();
+      layerDefinition._pollLive();
+      expect(queries.length).toEqual(1);
+      expect(queries[0].sql).toEqual(
+        "SELECT {{{ query0 }}} AS query, (SELECT extract(epoch FROM max(updated_at)) * 1000 FROM CDB_TableMetadata " +
+        "WHERE tabname = ANY (CDB_QueryTablesText({{ sql0 }})::regclass[])) AS updated_at"
+      );
+      expect(queries[0].vars).toEqual({ query0: 0, sql0: 'select * from ne_10m_populated_places_simple' });
+      expect(queries[0].options).toEqual({ binding: 'typed' });
+    });
+
+    it('should invalidate the layer only when the tables change', function(done) {
+      var layerChanged = jasmine.createSpy('dataChanged');
+      var sublayerChanged = jasmine.createSpy('sublayer dataChanged');
+      layerDefinition.trigger = layerChanged;
+      var sublayer = layerDefinition.getSubLayer(1);
+      sublayer.bind('dataChanged', sublayerChanged);
+      responses.push(
+        [{ query: 0, updated_at: 1000 }, { query: 1, updated_at: 2000 }],
+        [{ query: 0, updated_at: 1000 }, { query: 1, updated_at: 2000 }],
+        [{ query: 0, updated_at: 1000 }, { query: 1, updated_at: 3000 }]
+      );
+
+      layerDefinition._pollLive();
+      layerDefinition._pollLive();
+      _.defer(function() {
+        expect(layerDefinition.invalidate).not.toHaveBeenCalled();
+        layerDefinition._pollLive();
+        _.defer(function() {
+          expect(layerDefinition.invalidate.calls.count()).toEqual(1);
+          expect(layerChanged).toHaveBeenCalledWith('dataChanged', [1]);
+          expect(sublayerChanged).toHaveBeenCalledWith(sublayer);
+          done();
+        });
+      });
+    });
+
+    it('should schedule the next check', function(done) {
+      responses.push([{ query: 0, updated_at: 1000 }, { query: 1, updated_at: 2000 }]);
+      layerDefinition._pollLive();
+      _.defer(function() {
+        expect(layerDefinition._liveTimer !== -1).toEqual(true);
+        layerDefinition.setLive(false);
+        expect(layerDefinition._liveTimer).toEqual(-1);
+        done();
+      });
+    });
+
+    it('should keep checking after an error', function(done) {
+      layerDefinition._pollLive();
+      _.defer(function() {
+        expect(layerDefinition._liveTimer !== -1).toEqual(true);
+        expect(layerDefinition.invalidate).not.toHaveBeenCalled();
+        done();
+      });
+    });
+
+    it('should forget the layergroups cached with the old data', function(done) {
+      var cache = layerDefinition._getLayergroupCache();
+      cache.set('a', { key: MapBase.canonicalJSON(['select * from european_countries_export']), data: {} });
+      cache.set('b', { key: MapBase.canonicalJSON(['select * from other']), data: {} });
+      layerDefinition._liveUpdatedAt = { 'select * from european_countries_export': 1000 };
+      responses.push([{ query: 1, updated_at: 2000 }]);
+      layerDefinition._pollLive();
+      _.defer(function() {
+        expect(cache.has('a')).toEqual(false);
+        expect(cache.has('b')).toEqual(true);
+        done();
+      });
+    });
+
+    it('should not check without live or the sql of the sublayers', function() {
+      layerDefinition.options.live = false;
+      layerDefinition._scheduleLive();
+      expect(layerDefinition._liveTimer).toEqual(-1);
+
+      layerDefinition.options.live = true;
+      layerDefinition.getSubLayer(0).hide();
+      layerDefinition.getSubLayer(1).hide();
+      layerDefinition._scheduleLive();
+      expect(layerDefinition._liveTimer).toEqual(-1);
+    });
+
+    it('should reuse the SQL API client while its options are the same', function() {
+      delete layerDefinition.options.sqlClient;
+      layerDefinition.options.sql_api_template = 'http://{user}.sql.example.com';
+      var client = layerDefinition._sqlClient();
+      expect(client instanceof cartodb.SQL).toEqual(true);
+      expect(layerDefinition._sqlClient()).toBe(client);
+
+      layerDefinition.options.api_key = 'key';
+      expect(layerDefinition._sqlClient()).not.toBe(client);
+      expect(layerDefinition._sqlClient().options.api_key).toEqual('key');
+    });
+
+    it('should build the SQL API host from the sql_api options', function() {
+      delete layerDefinition.options.sqlClient;
+      layerDefinition.options.sql_api_domain = 'sql.example.com';
+      layerDefinition.options.sql_api_port = 8080;
+      layerDefinition.options.sql_api_protocol = 'http';
+      expect(layerDefinition._sqlClient()._host()).toEqual('http://rambo.sql.example.com:8080/api/v2/sql');
+    });
+
+    it('should not check another host without the sql_api options', function() {
+      delete layerDefinition.options.sqlClient;
+      var errors = [];
+      layerDefinition.trigger = function(name, errs, err) {
+        errors.push(err);
+      };
+      expect(layerDefinition._sqlClient()).toBeNull();
+      expect(function() {
+        layerDefinition.setLive(true);
+      }).toThrow(new Error('live mode needs the SQL API: ' + MapBase.NO_SQL_API));
+
+      layerDefinition._scheduleLive();
+      expect(layerDefinition._liveTimer).toEqual(-1);
+      expect(layerDefinition.options.live).toEqual(false);
+      expect(errors.length).toEqual(1);
+      expect(errors[0].type).toEqual('live');
+    });
+  });
+
+  describe('MapBase.canonicalJSON', function() {
+
+    it('should sort the keys', function() {
+      expect(MapBase.canonicalJSON({ b: [1, { d: 1, c: 'x' }], a: null, e: undefined }))
+        .toEqual('{"a":null,"b":[1,{"c":"x","d":1}]}');
+    });
+  });
+
+  describe('.toNamedMapTemplate', function() {
+
+    beforeEach(function() {
+      layerDefinition.setQuery(0, "select * from places where pop > 1000 and adm0name = 'Spain'");
+      layerDefinition.setCartoCSS(0, '#layer { marker-fill: #F00; marker-width: 10; [pop > 1000] { marker-width: 20; } }', '2.1.1');
+    });
+
+    it('should return a template with the visible layers', function() {
+      layerDefinition.getSubLayer(1).hide();
+      var template = layerDefinition.toNamedMapTemplate({ name: 'places' });
+      expect(template).toEqual({
+        version: '0.0.1',
+        name: 'places',
+        auth: { method: 'open' },
+        placeholders: {},
+        layergroup: layerDefinition.toJSON()
+      });
+    });
+
+    it('should use token auth with valid_tokens', function() {
+      var template = layerDefinition.toNamedMapTemplate({ name: 'places', auth: { valid_tokens: ['secret'] } });
+      expect(template.auth).toEqual({ method: 'token', valid_tokens: ['secret'] });
+    });
+
+    it('should replace the literals with the placeholders', function() {
+      var template = layerDefinition.toNamedMapTemplate({
+        name: 'places',
+        placeholders: {
+          min_pop: { type: 'number', default: '1000' },
+          country: { type: 'sql_literal', default: 'Spain' },
+          color: { type: 'css_color', default: '#f00' },
+          table: { type: 'sql_ident', default: 'european_countries_export' }
+        }
+      });
+
+      expect(template.placeholders).toEqual({
+        min_pop: { type: 'number', default: 1000 },
+        country: { type: 'sql_literal', default: 'Spain' },
+        color: { type: 'css_color', default: '#f00' },
+        table: { type: 'sql_ident', default: 'european_countries_export' }
+      });
+      var layers = template.layergroup.layers;
+      expect(layers[0].options.sql).toEqual("select * from places where pop > <%= min_pop %> and adm0name = '<%= country %>'");
+      expect(layers[0].options.cartocss).toEqual('#layer { marker-fill: <%= color %>; marker-width: 10; [pop > <%= min_pop %>] { marker-width: 20; } }');
+      expect(layers[1].options.sql).toEqual('select * from <%= table %>');
+    });
+
+    it('should render the layers back with the defaults', function() {
+      var template = layerDefinition.toNamedMapTemplate({
+        name: 'places',
+        placeholders: {
+          min_pop: { type: 'number', default: 1000 },
+          country: { type: 'sql_literal', default: 'Spain' }
+        }
+      });
+      expect(NamedMap.renderTemplate(template)).toEqual(layerDefinition.toJSON());
+      expect(NamedMap.renderTemplate(template, { country: "Cote d'Ivoire" }).layers[0].options.sql).toEqual(
+        "select * from places where pop > 1000 and adm0name = 'Cote d''Ivoire'"
+      );
+    });
+
+    it('should throw when a placeholder is not found', function() {
+      expect(function() {
+        layerDefinition.toNamedMapTemplate({ name: 'places', placeholders: { min_pop: { type: 'number', default: 100 } } });
+      }).toThrow(new Error('placeholder min_pop not found in the layers: 100'));
+      expect(function() {
+        layerDefinition.toNamedMapTemplate({ name: 'places', placeholders: { color: { type: 'css_color', default: 'Spain' } } });
+      }).toThrow();
+    });
+
+    it('should throw with invalid names and types', function() {
+      expect(function() {
+        layerDefinition.toNamedMapTemplate({ name: 'my places' });
+      }).toThrow();
+      expect(function() {
+        layerDefinition.toNamedMapTemplate({ name: 'places', placeholders: { '1pop': { type: 'number', default: 1000 } } });
+      }).toThrow();
+      expect(function() {
+        layerDefinition.toNamedMapTemplate({ name: 'places', placeholders: { min_pop: { type: 'integer', default: 1000 } } });
+      }).toThrow();
+    });
+
+    it("should throw when the template doesn't render the layers back", function() {
+      // the marker of the first placeholder contains the second one
+      expect(function() {
+        layerDefinition.toNamedMapTemplate({
+          name: 'places',
+          placeholders: {
+            adm0name: { type: 'number', default: 1000 },
+            country: { type: 'sql_ident', default: 'adm0name' }
+          }
+        });
+      }).toThrow(new Error("the template doesn't render the layers back, check the placeholders don't overlap"));
+    });
+  });
+
   describe('LayerDefinition.layerDefFromSubLayers', function() {
 
     it("should generate layerdef", function() {
@@ -1653,6 +2444,9 @@ describe("NamedMap", function() {
 
       expect(actualUrl).toEqual(expectedUrl);
 
+      // the attributes are requested one at a time
+      ajax.calls.mostRecent().args[0].success({});
+
       // Fetch attributes for layer 1 (which is layer 3 in the tiler)
       namedMap.fetchAttributes(1, 'feature_id', 2, callback);
 
@@ -1725,6 +2519,124 @@ describe("NamedMap", function() {
 
       expect(namedMap.invalidate).toHaveBeenCalled();
     })
+  
+    describe('with the placeholders', function() {
+
+      beforeEach(function() {
+        namedMap.setParamsSchema({
+          min_pop: { type: 'number', default: 1000 },
+          color: { type: 'css_color', default: '#F00' },
+          country: { type: 'sql_literal', default: 'Spain' },
+          table: { type: 'sql_ident', default: 'places' }
+        });
+      });
+
+      it('should convert the params to their types', function() {
+        namedMap.setParams({ min_pop: ' 20 ', color: ' blue ', country: 10 });
+        expect(namedMap.named_map.params).toEqual({
+          key1: 'value1',
+          min_pop: 20,
+          color: 'blue',
+          country: '10'
+        });
+      });
+
+      it('should throw with invalid values', function() {
+        expect(function() {
+          namedMap.setParams('min_pop', 'many');
+        }).toThrow(new TypeError('param min_pop should be a number, got "many"'));
+        expect(function() {
+          namedMap.setParams('min_pop', '');
+        }).toThrow();
+        expect(function() {
+          namedMap.setParams('color', 'rgba(0, 0, 0, 0.5)');
+        }).toThrow();
+        expect(function() {
+          namedMap.setParams('table', 'places; drop table places');
+        }).toThrow();
+        expect(function() {
+          namedMap.setParams('country', { name: 'Spain' });
+        }).toThrow();
+      });
+
+      it('should throw with unknown params', function() {
+        namedMap.named_map.name = 'places';
+        expect(function() {
+          namedMap.setParams('max_pop', 10);
+        }).toThrow(new Error('unknown param max_pop for named map places, the placeholders are: min_pop, color, country, table'));
+      });
+
+      it('should not set any param when one is not valid', function() {
+        spyOn(namedMap, 'invalidate');
+        expect(function() {
+          namedMap.setParams({ color: '#00F', min_pop: 'many' });
+        }).toThrow();
+        expect(namedMap.named_map.params).toEqual({ key1: 'value1' });
+        expect(namedMap.invalidate).not.toHaveBeenCalled();
+      });
+
+      it('should unset params', function() {
+        namedMap.setParams('min_pop', 10);
+        namedMap.setParams('min_pop', null);
+        expect(namedMap.named_map.params.min_pop).toBeUndefined();
+      });
+
+      it('should return the schema with the values', function() {
+        namedMap.setParams('min_pop', 10);
+        expect(namedMap.getParamsSchema()).toEqual({
+          min_pop: { type: 'number', default: 1000, value: 10 },
+          color: { type: 'css_color', default: '#F00', value: '#F00' },
+          country: { type: 'sql_literal', default: 'Spain', value: 'Spain' },
+          table: { type: 'sql_ident', default: 'places', value: 'places' }
+        });
+      });
+
+      it('should load the placeholders from the definition', function() {
+        namedMap = new NamedMap({
+          name: 'places',
+          placeholders: { min_pop: { type: 'number', default: 1000 } }
+        }, { tiler_protocol: 'https', tiler_domain: 'carto.com', tiler_port: '', user_name: 'rambo' });
+        expect(namedMap.getParamsSchema().min_pop.type).toEqual('number');
+        expect(function() {
+          namedMap.setParams('min_pop', 'many');
+        }).toThrow();
+      });
+
+      it('should not check the params without the placeholders', function() {
+        namedMap.setParamsSchema(null);
+        namedMap.setParams('anything', 'many');
+        expect(namedMap.named_map.params.anything).toEqual('many');
+        expect(namedMap.getParamsSchema()).toEqual(null);
+      });
+
+      it('should throw with invalid placeholder types', function() {
+        expect(function() {
+          namedMap.setParamsSchema({ min_pop: { type: 'integer' } });
+        }).toThrow();
+      });
+
+      it('should keep them while the template is the same', function() {
+        namedMap.setLayerDefinition({ name: namedMap.named_map.name, params: {} }, { silent: true });
+        expect(namedMap.getParamsSchema().min_pop.type).toEqual('number');
+        namedMap.setLayerDefinition({ name: 'other', params: {} }, { silent: true });
+        expect(namedMap.getParamsSchema()).toEqual(null);
+      });
+    });
+
+    it('should load the placeholders from the template', function(done) {
+      namedMap.named_map.name = 'places';
+      var namedMaps = {
+        get: jasmine.createSpy('get').and.returnValue(cartodb.core.Promise.resolve({
+          name: 'places',
+          placeholders: { min_pop: { type: 'number', 'default': 1000 } }
+        }))
+      };
+      namedMap.loadParamsSchema(namedMaps).then(function(schema) {
+        expect(namedMaps.get).toHaveBeenCalledWith('places');
+        expect(schema).toEqual({ min_pop: { type: 'number', 'default': 1000, value: 1000 } });
+        done();
+      });
+    });
   });
 
   it("shoud have infowindow", function() {
@@ -1742,6 +2654,12 @@ describe("NamedMap", function() {
     expect(namedMap.getSubLayer(0)).not.toEqual(undefined);
   });
 
+  it("should raise errors when try to move sublayers", function() {
+    expect(function() {
+      namedMap.getSubLayer(0).sendToBack();
+    }).toThrow(new Error("sublayers are read-only in Named Maps"));
+  });
+
   it("should raise errors when try to set sql or cartocss", function() {
     expect(function() { namedMap.setCartoCSS('test') }).toThrow(new Error("cartocss is read-only in NamedMaps"));
     expect(function() { namedMap.setSQL('sql') }).toThrow(new Error("SQL is read-only in NamedMaps"));
@@ -138,6 +138,58 @@ describe('LeafletMapView', function() {
     expect(layerView.getLayerCount()).toEqual(1);
   });
 
+  it("should create a vector tiles LayerGroup when the layer has the mvt option", function() {
+    layer = new cdb.geo.CartoDBGroupLayer({
+      mvt: true,
+      layer_definition: {
+          version: '1.0.0',
+          layers: [{
+             type: 'cartodb',
+             options: {
+               sql: 'select * from ne_10m_populated_places_simple',
+               cartocss: '#layer { marker-fill: red; }'
+             }
+          }]
+        }
+    });
+    var lyr = map.addLayer(layer);
+    var layerView = mapView.getLayerByCid(lyr);
+    expect(layerView instanceof cdb.geo.LeafLetCartoDBMVTLayerGroupView).toEqual(true);
+    expect(layerView.options.mvt).toEqual(true);
+    expect(layerView._layerStyle(0).point.fill).toEqual('red');
+  });
+
+  it("should request the vector tiles with the ajax of the layer", function() {
+    layer = new cdb.geo.CartoDBGroupLayer({
+      mvt: true,
+      layer_definition: {
+        version: '1.0.0',
+        layers: [{
+          type: 'cartodb',
+          options: { sql: 'select * from ne_10m_populated_places_simple', cartocss: '#layer {}' }
+        }]
+      }
+    });
+    var layerView = mapView.getLayerByCid(map.addLayer(layer));
+    var requests = [];
+    layerView.options.ajax = function(params) {
+      requests.push(params);
+    };
+    var tiles = [];
+    var callback = function(layers) {
+      tiles.push(layers);
+    };
+
+    layerView._fetchTile('http://tiles/0/0/0/0.mvt', callback);
+    layerView._fetchTile('http://tiles/0/0/0/1.mvt', callback);
+    expect(requests[0].url).toEqual('http://tiles/0/0/0/0.mvt');
+    expect(requests[0].dataType).toEqual('arraybuffer');
+
+    requests[0].success(new ArrayBuffer(0), 'success', { status: 204 });
+    requests[1].error({ status: 500 });
+    expect(tiles).toEqual([{}, null]);
+  });
+
   it("should create the cartodb logo", function(done) {
     layer = new cdb.geo.CartoDBLayer({
       table_name: "INVENTADO",
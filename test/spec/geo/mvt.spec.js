@@ -0,0 +1,159 @@
+describe('cdb.geo.MVT', function() {
+
+  // minimal protobuf writer to build the tiles
+  function varint(n) {
+    var bytes = [];
+    while (n > 127) {
+      bytes.push((n % 128) | 0x80);
+      n = Math.floor(n / 128);
+    }
+    bytes.push(n);
+    return bytes;
+  }
+
+  function zigzag(n) {
+    return n < 0 ? -2 * n - 1 : 2 * n;
+  }
+
+  function field(tag, type, payload) {
+    return varint(tag * 8 + type).concat(payload);
+  }
+
+  function message(tag, bytes) {
+    return field(tag, 2, varint(bytes.length).concat(bytes));
+  }
+
+  function string(tag, str) {
+    var bytes = [];
+    var utf8 = unescape(encodeURIComponent(str));
+    for (var i = 0; i < utf8.length; ++i) {
+      bytes.push(utf8.charCodeAt(i));
+    }
+    return message(tag, bytes);
+  }
+
+  function packed(tag, values) {
+    var bytes = [];
+    for (var i = 0; i < values.length; ++i) {
+      bytes = bytes.concat(varint(values[i]));
+    }
+    return message(tag, bytes);
+  }
+
+  function command(id, count) {
+    return (count << 3) | id;
+  }
+
+  function feature(id, type, tags, geometry) {
+    return message(2, field(1, 0, varint(id))
+      .concat(packed(2, tags))
+      .concat(field(3, 0, varint(type)))
+      .concat(packed(4, geometry)));
+  }
+
+  function tile() {
+    var layer = field(15, 0, varint(2))
+      .concat(string(1, 'layer0'))
+      // a point at 10,20
+      .concat(feature(1, 1, [0, 0, 1, 1], [command(1, 1), zigzag(10), zigzag(20)]))
+      // a square polygon from 100,100 to 200,200
+      .concat(feature(2, 3, [0, 2], [
+        command(1, 1), zigzag(100), zigzag(100),
+        command(2, 3), zigzag(100), 0, 0, zigzag(100), zigzag(-100), 0,
+        command(7, 1)
+      ]))
+      // a line from 0,500 to 400,500
+      .concat(feature(3, 2, [], [command(1, 1), 0, zigzag(500), command(2, 1), zigzag(400), 0]))
+      .concat(string(3, 'name'))
+      .concat(string(3, 'pop'))
+      .concat(message(4, string(1, 'Cádiz')))
+      .concat(message(4, field(4, 0, varint(116979))))
+      .concat(message(4, field(6, 0, varint(zigzag(-5)))))
+      .concat(field(5, 0, varint(4096)));
+    return new Uint8Array(message(3, layer));
+  }
+
+  describe('.decode', function() {
+
+    var layers;
+
+    beforeEach(function() {
+      layers = cdb.geo.MVT.decode(tile().buffer);
+    });
+
+    it('should decode the layers', function() {
+      expect(_.keys(layers)).toEqual(['layer0']);
+      expect(layers.layer0.version).toEqual(2);
+      expect(layers.layer0.extent).toEqual(4096);
+      expect(layers.layer0.features.length).toEqual(3);
+    });
+
+    it('should decode the properties', function() {
+      var features = layers.layer0.features;
+      expect(features[0].id).toEqual(1);
+      expect(features[0].properties).toEqual({ name: 'Cádiz', pop: 116979 });
+      expect(features[1].properties).toEqual({ name: -5 });
+      expect(features[2].properties).toEqual({});
+    });
+
+    it('should decode the geometries', function() {
+      var features = layers.layer0.features;
+      expect(features[0].type).toEqual(cdb.geo.MVT.GEOMETRY_TYPES.POINT);
+      expect(features[0].geometry).toEqual([[{ x: 10, y: 20 }]]);
+      expect(features[1].geometry).toEqual([[
+        { x: 100, y: 100 }, { x: 200, y: 100 }, { x: 200, y: 200 }, { x: 100, y: 200 }, { x: 100, y: 100 }
+      ]]);
+      expect(features[2].geometry).toEqual([[{ x: 0, y: 500 }, { x: 400, y: 500 }]]);
+    });
+  });
+
+  describe('.hitTest', function() {
+
+    var features;
+
+    beforeEach(function() {
+      features = cdb.geo.MVT.decode(tile()).layer0.features;
+    });
+
+    it('should test the points with the tolerance', function() {
+      expect(cdb.geo.MVT.hitTest(features[0], 13, 24, 5)).toEqual(true);
+      expect(cdb.geo.MVT.hitTest(features[0], 13, 24, 4)).toEqual(false);
+    });
+
+    it('should test if the point is inside the polygon', function() {
+      expect(cdb.geo.MVT.hitTest(features[1], 150, 150)).toEqual(true);
+      expect(cdb.geo.MVT.hitTest(features[1], 250, 150)).toEqual(false);
+    });
+
+    it('should test the distance to the lines', function() {
+      expect(cdb.geo.MVT.hitTest(features[2], 200, 503, 3)).toEqual(true);
+      expect(cdb.geo.MVT.hitTest(features[2], 410, 500, 3)).toEqual(false);
+    });
+  });
+
+  describe('.styleFromCartoCSS', function() {
+
+    it('should use the first level properties', function() {
+      var style = cdb.geo.MVT.styleFromCartoCSS([
+        '/** simple */',
+        '#layer {',
+        '  marker-fill: #F00; marker-width: 10; marker-fill-opacity: 0.5;',
+        '  polygon-fill: rgba(0, 0, 255, 0.5);',
+        '  line-color: @color; line-width: 2;',
+        '  [zoom > 10] { marker-width: 20; }',
+        '}'
+      ].join('\n'));
+
+      expect(style.point.fill).toEqual('#F00');
+      expect(style.point.radius).toEqual(5);
+      expect(style.point.fillOpacity).toEqual(0.5);
+      expect(style.polygon.fill).toEqual('rgba(0, 0, 255, 0.5)');
+      expect(style.line.stroke).toEqual(cdb.geo.MVT.STYLE_DEFAULTS.line.stroke);
+      expect(style.line.strokeWidth).toEqual(2);
+    });
+
+    it('should use the defaults without CartoCSS', function() {
+      expect(cdb.geo.MVT.styleFromCartoCSS()).toEqual(cdb.geo.MVT.STYLE_DEFAULTS);
+    });
+  });
+});
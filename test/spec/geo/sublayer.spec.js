@@ -215,6 +215,80 @@ describe('Sublayers', function() {
     });
   });
 
+  describe('reordering', function() {
+    var other, http;
+
+    beforeEach(function() {
+      layerDefinition.addLayer({ type: 'http', urlTemplate: 'http://{s}.tiles.com/{z}/{x}/{y}.png' });
+      other = layerDefinition.getSubLayer(1);
+      http = layerDefinition.getSubLayer(2);
+    });
+
+    it('should move the sublayer to the index', function() {
+      sublayer.setIndex(2);
+      expect(layerDefinition.getSubLayer(0)).toBe(other);
+      expect(layerDefinition.getSubLayer(1)).toBe(http);
+      expect(layerDefinition.getSubLayer(2)).toBe(sublayer);
+      expect(sublayer.getSQL()).toEqual('select * from ne_10m_populated_places_simple');
+      expect(http.getURLTemplate()).toEqual('http://{s}.tiles.com/{z}/{x}/{y}.png');
+      expect(_.pluck(layerDefinition.toJSON().layers, 'type')).toEqual(['cartodb', 'http', 'cartodb']);
+    });
+
+    it('should move up and down', function() {
+      sublayer.moveUp();
+      expect(layerDefinition.getSubLayer(1)).toBe(sublayer);
+      http.moveDown();
+      expect(layerDefinition.getSubLayer(1)).toBe(http);
+      expect(layerDefinition.getSubLayer(2)).toBe(sublayer);
+
+      // it's already on top
+      sublayer.moveUp();
+      expect(layerDefinition.getSubLayer(2)).toBe(sublayer);
+    });
+
+    it('should bring to front and send to back', function() {
+      sublayer.bringToFront();
+      expect(layerDefinition.getSubLayer(2)).toBe(sublayer);
+      sublayer.sendToBack();
+      expect(layerDefinition.getSubLayer(0)).toBe(sublayer);
+    });
+
+    it('should throw with an index out of range', function() {
+      expect(function() {
+        sublayer.setIndex(3);
+      }).toThrow();
+    });
+
+    it('should keep the interaction and the events of the sublayers', function() {
+      var callback = jasmine.createSpy('featureClick');
+      layerDefinition.interactionEnabled = [true, false, false];
+      sublayer.on('featureClick', callback);
+      sublayer.setIndex(1);
+      expect(layerDefinition.interactionEnabled).toEqual([false, true, false]);
+
+      layerDefinition.trigger('featureClick', 0);
+      expect(callback).not.toHaveBeenCalled();
+      layerDefinition.trigger('featureClick', 1);
+      expect(callback).toHaveBeenCalled();
+    });
+
+    it('should keep the index mappings of the hidden sublayers', function() {
+      other.hide();
+      sublayer.sendToBack();
+      other.bringToFront();
+      expect(layerDefinition.getLayerIndexByNumber(0)).toEqual(0);
+      expect(layerDefinition.getLayerIndexByNumber(1)).toEqual(1);
+      expect(layerDefinition.getLayerNumberByIndex(1)).toEqual(1);
+      expect(layerDefinition.getSubLayer(2).isVisible()).toEqual(false);
+    });
+
+    it('should refresh the layer', function() {
+      spyOn(layerDefinition, 'invalidate');
+      sublayer.moveUp();
+      expect(layerDefinition.invalidate).toHaveBeenCalled();
+    });
+  });
+
   describe('CartoDBSubLayer', function() {
 
     describe('toJSON', function() {
@@ -392,6 +466,131 @@ describe('Sublayers', function() {
         expect(sublayer.get('sql')).toEqual('wadus');
         expect(sublayer.getSQL()).toEqual('wadus');
       });
+
+      it('should use the query of sql.table', function() {
+        var sql = new cartodb.SQL({ user: 'rambo' });
+        var query = sql.table('ne_10m_populated_places_simple')
+          .where({ adm0name: 'Spain' })
+          .group_by('adm1name')
+          .aggregate('the_geom_webmercator', 'max', 'the_geom_webmercator')
+          .aggregate('cartodb_id', 'min', 'cartodb_id')
+          .aggregate('test', 'count');
+        sublayer.setSQL(query.sql());
+
+        expect(layerDefinition.toJSON().layers[0].options.sql).toEqual('select "adm1name", max("the_geom_webmercator") as "the_geom_webmercator", min("cartodb_id") as "cartodb_id", count(*) as "test" from "ne_10m_populated_places_simple" where "adm0name" = \'Spain\' group by "adm1name"');
+      });
+
+      describe('preflight', function() {
+        var queries, fields, errors;
+
+        beforeEach(function() {
+          queries = [];
+          fields = {};
+          errors = null;
+          layerDefinition.options.sqlClient = new cartodb.SQL({
+            user: 'rambo',
+            ajax: function(params) {
+              queries.push(decodeURIComponent(params.url.split('q=')[1]));
+              _.defer(function() {
+                if (errors) {
+                  params.error({ status: 400, responseText: JSON.stringify({ error: errors }) });
+                } else {
+                  params.success({ rows: [], fields: fields }, 200);
+                }
+              });
+            }
+          });
+        });
+
+        it('should set the SQL when it has the columns', function(done) {
+          fields = { cartodb_id: {}, the_geom_webmercator: {}, test: {} };
+          sublayer.on('preflight', function(f, s) {
+            expect(f).toEqual(fields);
+            expect(s).toBe(sublayer);
+            expect(queries[0]).toEqual('SELECT * FROM (select * from places) __wrap LIMIT 0');
+            expect(sublayer.getSQL()).toEqual('select * from places');
+            done();
+          });
+          expect(sublayer.setSQL('select * from places', { preflight: true })).toBe(sublayer);
+          expect(sublayer.getSQL()).toEqual('select * from ne_10m_populated_places_simple');
+        });
+
+        it('should keep the calls chained', function(done) {
+          fields = { cartodb_id: {}, the_geom_webmercator: {}, test: {} };
+          sublayer.on('preflight', function() {
+            expect(sublayer.getSQL()).toEqual('select * from places');
+            expect(sublayer.getCartoCSS()).toEqual('#layer { marker-fill: blue; }');
+            done();
+          });
+          sublayer.setSQL('select * from places', { preflight: true }).setCartoCSS('#layer { marker-fill: blue; }');
+        });
+
+        it('should trigger error when the columns are missing', function(done) {
+          fields = { cartodb_id: {}, test: {} };
+          layerDefinition.options.preflight = true;
+          sublayer.on('error', function(err, s) {
+            expect(s).toBe(sublayer);
+            expect(err.type).toEqual('preflight');
+            expect(err.columns).toEqual(['the_geom_webmercator']);
+            expect(err.message).toEqual('the sql of the sublayer 0 should select the columns the_geom_webmercator');
+            expect(sublayer.getSQL()).toEqual('select * from ne_10m_populated_places_simple');
+            done();
+          });
+          sublayer.setSQL('select cartodb_id, test from places');
+        });
+
+        it('should only need cartodb_id when there is interactivity', function(done) {
+          fields = { the_geom_webmercator: {} };
+          sublayer.setInteractivity([]);
+          sublayer.on('preflight', function() {
+            expect(sublayer.getSQL()).toEqual('select the_geom_webmercator from places');
+            done();
+          });
+          sublayer.setSQL('select the_geom_webmercator from places', { preflight: true });
+        });
+
+        it('should trigger error when the query is not valid', function(done) {
+          errors = ['syntax error at or near "form"'];
+          sublayer.on('error', function(err) {
+            expect(err.type).toEqual('preflight');
+            expect(err.errors).toEqual(['syntax error at or near "form"']);
+            expect(err.message).toEqual('the sql of the sublayer 0 is not valid: syntax error at or near "form"');
+            done();
+          });
+          sublayer.setSQL('select * form places', { preflight: true });
+        });
+
+        it('should discard the check when the SQL is set again', function(done) {
+          fields = { cartodb_id: {}, the_geom_webmercator: {}, test: {} };
+          var preflight = jasmine.createSpy('preflight');
+          sublayer.on('preflight', preflight);
+          sublayer.setSQL('select * from places', { preflight: true });
+          sublayer.setSQL('select * from other_places');
+          setTimeout(function() {
+            expect(preflight).not.toHaveBeenCalled();
+            expect(sublayer.getSQL()).toEqual('select * from other_places');
+            done();
+          }, 10);
+        });
+
+        it('should reject the check without the SQL API host', function(done) {
+          delete layerDefinition.options.sqlClient;
+          sublayer.checkSQL('select * from places').then(null, function(err) {
+            expect(err.type).toEqual('preflight');
+            expect(err.message).toEqual('the sql of the sublayer 0 can not be checked: ' + MapBase.NO_SQL_API);
+            done();
+          });
+        });
+
+        it('should check the SQL without setting it', function(done) {
+          fields = { cartodb_id: {}, test: {} };
+          sublayer.checkSQL('select cartodb_id, test from places').then(null, function(err) {
+            expect(err.columns).toEqual(['the_geom_webmercator']);
+            expect(sublayer.getSQL()).toEqual('select * from ne_10m_populated_places_simple');
+            done();
+          });
+        });
+      });
     });
 
     describe('.setCartoCSS', function() {
@@ -341,6 +341,96 @@ describe("Vis", function() {
     expect(this.vis.getOverlaysByType("tooltip").length).toEqual(0);
   });
 
+  describe('addInfowindow', function() {
+    var layerView, cached;
+
+    beforeEach(function() {
+      cached = undefined;
+      layerView = _.extend({
+        options: {},
+        containInfowindow: function() { return true; },
+        getLayerCount: function() { return 1; },
+        getInfowindowData: function() {
+          return {
+            template_name: 'infowindow_light',
+            template: '<div class="wadus">{{content.fields.0.value}}</div>',
+            template_type: 'mustache',
+            fields: [{ name: 'name', title: true, position: 0 }]
+          };
+        },
+        setInteraction: function() {},
+        getCachedAttributes: function() { return cached; },
+        fetchAttributes: jasmine.createSpy('fetchAttributes'),
+        prefetchAttributes: jasmine.createSpy('prefetchAttributes')
+      }, Backbone.Events);
+    });
+
+    it('should show the loading state while the attributes are fetched', function() {
+      this.vis.addInfowindow(layerView);
+      layerView.trigger('featureClick', null, [0, 0], { x: 0, y: 0 }, { cartodb_id: 1 }, 0);
+
+      expect(layerView.fetchAttributes).toHaveBeenCalled();
+      expect(layerView.fetchAttributes.calls.argsFor(0)[1]).toEqual(1);
+      expect(layerView.infowindow.get('content').fields[0].type).toEqual('loading');
+    });
+
+    it('should not show the loading state when the attributes are cached', function() {
+      cached = { name: 'wadus' };
+      this.vis.addInfowindow(layerView);
+      layerView.trigger('featureClick', null, [0, 0], { x: 0, y: 0 }, { cartodb_id: 1 }, 0);
+
+      expect(layerView.fetchAttributes).not.toHaveBeenCalled();
+      expect(layerView.infowindow.get('content').fields[0].value).toEqual('wadus');
+      expect(layerView.infowindow.get('visibility')).toEqual(true);
+    });
+
+    it('should prefetch the attributes of the hovered features with the prefetchAttributes option', function() {
+      this.vis.addInfowindow(layerView);
+      layerView.trigger('featureOver', null, [0, 0], { x: 0, y: 0 }, { cartodb_id: 1 }, 0);
+      expect(layerView.prefetchAttributes).not.toHaveBeenCalled();
+
+      layerView.options.prefetchAttributes = true;
+      this.vis.addInfowindow(layerView);
+      layerView.trigger('featureOver', null, [0, 0], { x: 0, y: 0 }, { cartodb_id: 1 }, 0);
+      expect(layerView.prefetchAttributes).toHaveBeenCalledWith(0, 1);
+    });
+  });
+
+  describe('layer errors', function() {
+    var layerView;
+
+    beforeEach(function() {
+      layerView = _.extend({}, Backbone.Events);
+      this.vis._addLoading(layerView);
+      spyOn(cdb.log, 'error');
+    });
+
+    it('should reject the vis when a layer fails while loading', function(done) {
+      var self = this;
+      this.vis.then(null, function(err) {
+        expect(err.type).toEqual('sql');
+        expect(err.layer).toBe(layerView);
+        expect(cdb.log.error).toHaveBeenCalled();
+        done();
+      });
+      layerView.trigger('error', ['syntax error'], MapBase.parseError({ errors: ['syntax error'] }));
+    });
+
+    it('should only trigger the errors of the layers once loaded', function(done) {
+      var vis = this.vis;
+      var triggered = jasmine.createSpy('error');
+      vis.then(function() {
+        vis.bind('error', triggered);
+        layerView.trigger('error', ['tile failed']);
+        expect(triggered).toHaveBeenCalled();
+        expect(triggered.calls.argsFor(0)[0]).toEqual('tile failed');
+        expect(triggered.calls.argsFor(0)[1]).toBe(layerView);
+        expect(cdb.log.error).not.toHaveBeenCalled();
+        done();
+      });
+    });
+  });
+
   describe('addOverlay', function() {
 
     it("should throw an error if no layers are available", function() {